@@ -0,0 +1,252 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import logger from "./logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// One folder per run (named by its checkpoint ID) holding what the page
+// looked like whenever a step failed: <name>.png, <name>.html and <name>.json
+// with the URL, the error and the page's recent console and network errors.
+// Captures hold guest and payment details (names, emails, amounts); the
+// virtual card number, expiry and CVV are blanked out before capturing.
+const ARTIFACTS_DIR = path.join(__dirname, process.env.ARTIFACTS_DIR || "artifacts");
+
+// Oldest run folders are removed once either limit is passed
+const MAX_RUNS = parseInt(process.env.ARTIFACTS_MAX_RUNS, 10) || 20;
+const MAX_BYTES = (parseInt(process.env.ARTIFACTS_MAX_MB, 10) || 500) * 1024 * 1024;
+
+// Console and network errors kept per page
+const RECENT_LIMIT = 50;
+
+// Partner Central marks the card number, expiry and CVV "replay-conceal" to
+// keep them out of its own session recordings
+const CONCEALED = ".replay-conceal";
+
+const ARTIFACT_TYPES = {
+  ".png": "image/png",
+  ".html": "text/html",
+  ".json": "application/json",
+};
+
+// Runs are named by their checkpoint ID (checkpoints.js), a UUID
+const RUN_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Artifact names are built from property and reservation IDs; keep them to
+// one plain path segment
+const safeName = (value) => String(value).replace(/[^a-zA-Z0-9_-]+/g, "_");
+
+// `target` resolved, or null when it would leave `dir`
+const inside = (dir, target) => {
+  const resolved = path.resolve(dir, target);
+  return resolved.startsWith(`${path.resolve(dir)}${path.sep}`) ? resolved : null;
+};
+
+// Folder of a run, or null for anything but a run ID
+const runDir = (runId) =>
+  RUN_ID.test(String(runId)) ? inside(ARTIFACTS_DIR, String(runId)) : null;
+
+const folderStats = (dir) => {
+  const files = fs.readdirSync(dir).map((name) => {
+    const stat = fs.statSync(path.join(dir, name));
+    return { name, size: stat.size, createdAt: stat.mtime.toISOString() };
+  });
+  return {
+    files,
+    size: files.reduce((sum, file) => sum + file.size, 0),
+    updatedAt: fs.statSync(dir).mtime.toISOString(),
+  };
+};
+
+// Runs with artifacts, newest first
+const listArtifactRuns = () => {
+  if (!fs.existsSync(ARTIFACTS_DIR)) return [];
+  return fs
+    .readdirSync(ARTIFACTS_DIR, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && RUN_ID.test(entry.name))
+    .map((entry) => {
+      const { files, size, updatedAt } = folderStats(path.join(ARTIFACTS_DIR, entry.name));
+      return { runId: entry.name, files: files.length, size, updatedAt };
+    })
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+// Files of one run, oldest first; null when the run has none
+const listArtifacts = (runId) => {
+  const dir = runDir(runId);
+  if (!dir || !fs.existsSync(dir)) return null;
+  return folderStats(dir).files.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+// Path and content type of one artifact, or null if it doesn't exist
+const getArtifact = (runId, file) => {
+  const dir = runDir(runId);
+  const type = ARTIFACT_TYPES[path.extname(String(file))];
+  if (!dir || !type || !/^[\w-][\w.-]*$/.test(String(file))) return null;
+
+  const filePath = inside(dir, String(file));
+  if (!filePath || !fs.existsSync(filePath)) return null;
+  return { path: filePath, type };
+};
+
+const deleteArtifactRun = (runId) => {
+  const dir = runDir(runId);
+  if (!dir || !fs.existsSync(dir)) return false;
+  fs.rmSync(dir, { recursive: true, force: true });
+  return true;
+};
+
+// Remove the oldest runs past MAX_RUNS or MAX_BYTES, sparing `keepRunId`
+const pruneArtifacts = (keepRunId = null) => {
+  const runs = listArtifactRuns();
+  let total = runs.reduce((sum, run) => sum + run.size, 0);
+  let count = runs.length;
+
+  for (const run of [...runs].reverse()) {
+    if (count <= MAX_RUNS && total <= MAX_BYTES) break;
+    if (run.runId === keepRunId) continue;
+    deleteArtifactRun(run.runId);
+    logger.info(`Removed failure artifacts of run ${run.runId}`);
+    count -= 1;
+    total -= run.size;
+  }
+};
+
+// Blank the concealed elements of `page` while `capture` runs, then put
+// their content back: the scraper may still read the dialog afterwards
+const withConcealed = async (page, capture) => {
+  await page.evaluate((selector) => {
+    const saved = (window.__concealed = window.__concealed || new Map());
+    for (const el of document.querySelectorAll(selector)) {
+      if (!saved.has(el)) saved.set(el, el.innerHTML);
+      el.textContent = "••••";
+    }
+  }, CONCEALED);
+  try {
+    return await capture();
+  } finally {
+    await page
+      .evaluate(() => {
+        for (const [el, html] of window.__concealed || []) el.innerHTML = html;
+        window.__concealed?.clear();
+      })
+      .catch(() => {});
+  }
+};
+
+// Failure artifacts for one run. watch(page) starts collecting a page's
+// console and network errors; capture(page, error, context) saves its
+// screenshot, HTML and error details, once per error.
+// `context` is { propertyId, reservationId, step }.
+const createArtifactRecorder = (runId) => {
+  const dir = runDir(runId);
+  if (!dir) throw new Error(`Invalid artifact run ID "${runId}"`);
+  const recent = new WeakMap();
+  const captured = new WeakSet();
+  pruneArtifacts(runId);
+
+  const remember = (page, entry) => {
+    const entries = recent.get(page);
+    entries.push({ at: new Date().toISOString(), ...entry });
+    if (entries.length > RECENT_LIMIT) entries.shift();
+  };
+
+  return {
+    runId,
+    watch(page) {
+      if (recent.has(page)) return;
+      recent.set(page, []);
+      page.on("console", (message) => {
+        if (!["error", "warn", "warning"].includes(message.type())) return;
+        remember(page, { source: "console", level: message.type(), text: message.text() });
+      });
+      page.on("pageerror", (error) => {
+        remember(page, { source: "page", level: "error", text: error.message });
+      });
+      page.on("requestfailed", (request) => {
+        remember(page, {
+          source: "network",
+          level: "error",
+          text: `${request.method()} ${request.url()} failed: ${request.failure()?.errorText}`,
+        });
+      });
+      page.on("response", (response) => {
+        if (response.status() < 400) return;
+        remember(page, {
+          source: "network",
+          level: "error",
+          text: `${response.request().method()} ${response.url()} returned ${response.status()}`,
+        });
+      });
+    },
+    // Never throws: a failed capture must not replace the error being recorded
+    async capture(page, error, { propertyId, reservationId, step } = {}) {
+      if (!page || (error && typeof error === "object" && captured.has(error))) return null;
+      if (error && typeof error === "object") captured.add(error);
+
+      const name = safeName(
+        [
+          new Date().toISOString().replace(/[:.]/g, "-"),
+          propertyId || "run",
+          reservationId,
+          step,
+        ]
+          .filter(Boolean)
+          .join("_")
+      );
+      const base = path.join(dir, name);
+
+      try {
+        fs.mkdirSync(dir, { recursive: true });
+        let url = null;
+        try {
+          url = page.url();
+          await withConcealed(page, async () => {
+            await page.screenshot({ path: `${base}.png`, fullPage: true });
+            fs.writeFileSync(`${base}.html`, await page.content());
+          });
+        } catch (captureError) {
+          logger.warn(`Could not capture page for ${name}: ${captureError.message}`);
+        }
+        fs.writeFileSync(
+          `${base}.json`,
+          JSON.stringify(
+            {
+              runId,
+              propertyId: propertyId || null,
+              reservationId: reservationId || null,
+              step: step || null,
+              url,
+              capturedAt: new Date().toISOString(),
+              error: {
+                message: error?.message || String(error),
+                kind: error?.kind || null,
+                attempts: error?.attempts || null,
+                stack: error?.stack || null,
+              },
+              recent: recent.get(page) || [],
+            },
+            null,
+            2
+          )
+        );
+        logger.info(`Saved failure artifacts ${name}`);
+        pruneArtifacts(runId);
+        return name;
+      } catch (writeError) {
+        logger.warn(`Could not save failure artifacts ${name}: ${writeError.message}`);
+        return null;
+      }
+    },
+  };
+};
+
+export {
+  createArtifactRecorder,
+  deleteArtifactRun,
+  getArtifact,
+  listArtifactRuns,
+  listArtifacts,
+  pruneArtifacts,
+};
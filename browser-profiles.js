@@ -0,0 +1,157 @@
+import fs from "fs";
+import path from "path";
+import puppeteer from "puppeteer";
+import { fileURLToPath } from "url";
+import logger from "./logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Local launch profiles: { "<name>": { headless, viewport, executablePath,
+// args, userAgent, browserWSEndpoint } }. A built-in name is extended, any
+// other name starts from "default".
+const OVERRIDES_PATH = path.join(
+  __dirname,
+  process.env.BROWSER_PROFILES_FILE || "browser-profiles.json"
+);
+
+// "default" is the visible, maximised window the scraper has always used;
+// "headless" runs on a server without a display. `viewport: null` follows
+// the window size. `browserWSEndpoint` connects to a running browser instead
+// of launching one.
+const BUILT_IN_PROFILES = {
+  default: {
+    headless: false,
+    viewport: null,
+    executablePath: null,
+    args: [
+      "--start-maximized",
+      "--no-sandbox",
+      "--disable-setuid-sandbox",
+      "--disable-web-security",
+      "--disable-features=IsolateOrigins,site-per-process",
+    ],
+    userAgent: null,
+    browserWSEndpoint: null,
+  },
+  headless: {
+    headless: true,
+    viewport: { width: 1440, height: 900 },
+    args: ["--no-sandbox", "--disable-setuid-sandbox"],
+  },
+};
+
+// Launch profile of each browser, for openPage's per-page settings; and the
+// pages a connected browser already had, which closeBrowser leaves open
+const browserProfiles = new WeakMap();
+const connectedPages = new WeakMap();
+
+const readOverrides = () => {
+  if (!fs.existsSync(OVERRIDES_PATH)) return {};
+  return JSON.parse(fs.readFileSync(OVERRIDES_PATH, "utf8"));
+};
+
+const validateSettings = (name, settings) => {
+  const { viewport, args } = settings;
+  if (
+    viewport !== null &&
+    !(Number.isInteger(viewport?.width) && Number.isInteger(viewport?.height))
+  ) {
+    throw new Error(`Browser profile "${name}": viewport needs integer width and height, or null`);
+  }
+  if (!Array.isArray(args) || args.some((arg) => typeof arg !== "string")) {
+    throw new Error(`Browser profile "${name}": args must be a list of strings`);
+  }
+  if (settings.browserWSEndpoint && !/^wss?:\/\//.test(settings.browserWSEndpoint)) {
+    throw new Error(`Browser profile "${name}": browserWSEndpoint must be a ws:// or wss:// URL`);
+  }
+  return settings;
+};
+
+// Every launch profile, built-ins merged with browser-profiles.json
+const listLaunchProfiles = () => {
+  const profiles = {};
+  const overrides = readOverrides();
+  for (const name of new Set([...Object.keys(BUILT_IN_PROFILES), ...Object.keys(overrides)])) {
+    profiles[name] = validateSettings(name, {
+      ...BUILT_IN_PROFILES.default,
+      ...BUILT_IN_PROFILES[name],
+      ...overrides[name],
+    });
+  }
+  return profiles;
+};
+
+// Name of the profile a run uses: the run's choice, else the account's, else
+// BROWSER_PROFILE, else "default". Throws for unknown names.
+const resolveLaunchProfile = (...choices) => {
+  const name =
+    choices.find((choice) => choice) || process.env.BROWSER_PROFILE || "default";
+  if (!listLaunchProfiles()[name]) {
+    throw new Error(`Unknown browser profile "${name}"`);
+  }
+  return name;
+};
+
+// API view of a profile; a remote endpoint can carry a token
+const publicLaunchProfile = (name, { browserWSEndpoint, ...settings }) => ({
+  name,
+  ...settings,
+  connect: !!browserWSEndpoint,
+});
+
+// Launch the profile's browser, or connect to its running one
+const openBrowser = async (name = resolveLaunchProfile()) => {
+  const settings = listLaunchProfiles()[name];
+  if (!settings) throw new Error(`Unknown browser profile "${name}"`);
+
+  let browser;
+  if (settings.browserWSEndpoint) {
+    logger.info(`Connecting to browser for profile ${name}`);
+    browser = await puppeteer.connect({
+      browserWSEndpoint: settings.browserWSEndpoint,
+      defaultViewport: settings.viewport,
+    });
+    connectedPages.set(browser, new Set(await browser.pages()));
+  } else {
+    logger.info(`Launching ${settings.headless ? "headless" : "visible"} browser (${name})`);
+    browser = await puppeteer.launch({
+      headless: settings.headless,
+      defaultViewport: settings.viewport,
+      args: settings.args,
+      ...(settings.executablePath ? { executablePath: settings.executablePath } : {}),
+      timeout: 60000,
+    });
+  }
+  browserProfiles.set(browser, settings);
+  return browser;
+};
+
+// Apply the browser's per-page settings to a new page
+const preparePage = async (page) => {
+  const settings = browserProfiles.get(page.browser());
+  if (settings?.userAgent) await page.setUserAgent(settings.userAgent);
+};
+
+// Close a launched browser; for a connected one close only the pages this
+// run opened and disconnect, leaving the browser running
+const closeBrowser = async (browser) => {
+  const existing = connectedPages.get(browser);
+  if (!existing) {
+    await browser.close();
+    return;
+  }
+  for (const page of await browser.pages()) {
+    if (!existing.has(page)) await page.close().catch(() => {});
+  }
+  await browser.disconnect();
+};
+
+export {
+  closeBrowser,
+  listLaunchProfiles,
+  openBrowser,
+  preparePage,
+  publicLaunchProfile,
+  resolveLaunchProfile,
+};
@@ -0,0 +1,66 @@
+// Remaining balance of a virtual card worked out from its transaction list,
+// to check the balance the card activity page shows.
+//
+// Loads (the amount put on the card) add to the balance, charges take from
+// it and refunds put it back. Authorizations are holds that a later charge
+// settles, so they don't change it; declined or voided transactions don't
+// either.
+
+const TRANSACTION_KINDS = [
+  ["load", /\bload|\bfund|issue|card amount/i],
+  ["refund", /refund|reversal|credit|return/i],
+  ["authorization", /auth|hold/i],
+  ["charge", /charge|purchase|capture|debit|payment/i],
+];
+
+const IGNORED_STATUS = /declin|fail|void|cancel|expired/i;
+
+// "$1,234.56", "-12.00" or "(12.00)" as a number; null when there is none
+const parseAmount = (text) => {
+  const value = String(text ?? "").trim();
+  const match = value.replace(/,/g, "").match(/\d+(\.\d+)?/);
+  if (!match) return null;
+  const amount = parseFloat(match[0]);
+  // A leading minus, before or after the currency sign, or parentheses
+  return /^[(-]|^[^\d(-]*-/.test(value) ? -amount : amount;
+};
+
+const transactionKind = (transaction) =>
+  TRANSACTION_KINDS.find(([, pattern]) =>
+    pattern.test(`${transaction.type} ${transaction.description}`)
+  )?.[0] || "other";
+
+// Transactions tagged with their kind, plus the calculated remaining balance
+// (null without a load to start from) and whether the page's balance agrees
+const summarizeCardActivity = ({ balance, transactions }) => {
+  const tagged = transactions.map((transaction) => ({
+    ...transaction,
+    kind: transactionKind(transaction),
+  }));
+
+  let loaded = 0;
+  let spent = 0;
+  for (const transaction of tagged) {
+    const amount = Math.abs(parseAmount(transaction.amount) ?? 0);
+    if (IGNORED_STATUS.test(transaction.status)) continue;
+    if (transaction.kind === "load") loaded += amount;
+    if (transaction.kind === "charge") spent += amount;
+    if (transaction.kind === "refund") spent -= amount;
+  }
+
+  const calculatedBalance = loaded > 0 ? Math.round((loaded - spent) * 100) / 100 : null;
+  const shownBalance = parseAmount(balance);
+  const balanceMatches =
+    calculatedBalance === null || shownBalance === null
+      ? null
+      : Math.abs(calculatedBalance - shownBalance) < 0.005;
+
+  return {
+    balance,
+    calculatedBalance,
+    balanceMatches,
+    transactions: tagged,
+  };
+};
+
+export { parseAmount, summarizeCardActivity };
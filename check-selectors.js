@@ -0,0 +1,83 @@
+// Selector health check: load a saved Partner Central page and report which
+// registry entries resolve on it, so markup changes show up before a run.
+//
+//   node check-selectors.js <saved-page.html> [entry prefix ...] [--extract]
+//
+// e.g. `node check-selectors.js test/fixtures/testing.html reservations row`
+// checks only the reservations page and table row entries. Exits with 1 when
+// any checked entry has no matching fallback. `--extract` also prints what the
+// extractors.js parsers read from the page.
+import fs from "fs";
+import path from "path";
+import puppeteer from "puppeteer";
+import {
+  extractAdjustments,
+  extractCard,
+  extractPaymentSummary,
+  extractPropertyName,
+  extractReservationDetails,
+  extractReservationRow,
+} from "./extractors.js";
+import { createSelect, getRegistry, resolveCss } from "./selectors.js";
+
+const args = process.argv.slice(2);
+const extract = args.includes("--extract");
+const [file, ...prefixes] = args.filter((arg) => arg !== "--extract");
+
+if (!file) {
+  console.error(
+    "Usage: node check-selectors.js <saved-page.html> [entry prefix ...] [--extract]"
+  );
+  process.exit(2);
+}
+
+const html = fs.readFileSync(path.resolve(file), "utf8");
+const entries = getRegistry();
+
+const browser = await puppeteer.launch({ headless: true, args: ["--no-sandbox"] });
+let failures = 0;
+
+try {
+  const page = await browser.newPage();
+  await page.setContent(html, { waitUntil: "domcontentloaded" });
+  await page.evaluate(createSelect, entries, true);
+  const results = await page.evaluate(() => __select.check());
+
+  for (const { name, fallbacks } of results) {
+    if (prefixes.length > 0 && !prefixes.some((prefix) => name.startsWith(`${prefix}.`))) {
+      continue;
+    }
+
+    const hit = fallbacks.findIndex((fallback) => fallback.matches > 0);
+    if (hit === -1) failures++;
+
+    const status = hit === -1 ? "MISSING " : hit === 0 ? "OK      " : "FALLBACK";
+    console.log(`${status} ${name}`);
+    fallbacks.forEach((fallback, index) => {
+      const marker = index === hit ? ">" : " ";
+      const text = fallback.text ? ` (text /${fallback.text}/i)` : "";
+      console.log(`   ${marker} ${fallback.matches} × ${fallback.css}${text}`);
+    });
+  }
+
+  if (extract) {
+    const rows = [];
+    for (const row of await page.$$(await resolveCss(page, "reservations.row"))) {
+      rows.push(await page.evaluate(extractReservationRow, row));
+    }
+    const extracted = {
+      rows,
+      card: await page.evaluate(extractCard),
+      payment: await page.evaluate(extractPaymentSummary),
+      adjustments: await page.evaluate(extractAdjustments),
+      details: await page.evaluate(extractReservationDetails),
+      propertyName: await page.evaluate(extractPropertyName, entries["nav.propertyName"]),
+    };
+    console.log(`\nExtracted:\n${JSON.stringify(extracted, null, 2)}`);
+  }
+} finally {
+  await browser.close();
+}
+
+console.log(failures === 0 ? "\nAll checked entries resolve." : `\n${failures} entries did not resolve.`);
+process.exit(failures === 0 ? 0 : 1);
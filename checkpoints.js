@@ -0,0 +1,219 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { decryptSecret, encryptSecret, isEncrypted } from "./secrets.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// One <id>.json per run: the work list, what's done, and the rows scraped so
+// far. The rows hold card numbers and CVVs, so they are stored encrypted with
+// CREDENTIALS_KEY (secrets.js); runs can't be checkpointed without it.
+const CHECKPOINTS_DIR = path.join(__dirname, "checkpoints");
+
+// Reservations recorded within this long of each other are written together.
+// Property boundaries and the end of a run are written right away; a crash
+// loses at most this much progress, which a resume scrapes again.
+const WRITE_DELAY_MS = 5000;
+
+if (!fs.existsSync(CHECKPOINTS_DIR)) {
+  fs.mkdirSync(CHECKPOINTS_DIR, { recursive: true });
+}
+
+const checkpointPath = (id) => path.join(CHECKPOINTS_DIR, `${id}.json`);
+
+// Write to a temp file first so a crash mid-write can't corrupt the checkpoint
+const writeState = (state) => {
+  state.updatedAt = new Date().toISOString();
+  const saved = { ...state, rows: encryptSecret(JSON.stringify(state.rows)) };
+  const tmpPath = `${checkpointPath(state.id)}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(saved, null, 2));
+  fs.renameSync(tmpPath, checkpointPath(state.id));
+};
+
+// Checkpoints written before rows were encrypted hold them as a plain array
+const readState = (saved) => ({
+  ...saved,
+  rows: isEncrypted(saved.rows) ? JSON.parse(decryptSecret(saved.rows)) : saved.rows,
+});
+
+// Put `rows` where the saved rows of one reservation were (a placeholder kept
+// when it failed), or at the end when it has none yet
+const replaceRows = (state, propertyId, reservationId, rows) => {
+  const matches = (row) =>
+    String(row.propertyId) === propertyId && String(row.reservationId) === reservationId;
+  const index = state.rows.findIndex(matches);
+  const kept = state.rows.filter((row) => !matches(row));
+  if (index === -1) {
+    state.rows = [...kept, ...rows];
+  } else {
+    state.rows = [...kept.slice(0, index), ...rows, ...kept.slice(index)];
+  }
+};
+
+// Wrap checkpoint state with the helpers loginToExpediaPartner uses.
+// record* calls are persisted within WRITE_DELAY_MS; completeProperty,
+// markInterrupted and finish before they return.
+const withHelpers = (state) => {
+  let pendingWrite = null;
+  const save = () => {
+    clearTimeout(pendingWrite);
+    pendingWrite = null;
+    writeState(state);
+  };
+  const saveSoon = () => {
+    pendingWrite ??= setTimeout(save, WRITE_DELAY_MS);
+    // A run that ends writes through finish or markInterrupted
+    pendingWrite.unref();
+  };
+
+  return {
+    get id() {
+      return state.id;
+    },
+    get hotels() {
+      return state.hotels;
+    },
+    get passthrough() {
+      return state.passthrough;
+    },
+    get rows() {
+      return state.rows;
+    },
+    get status() {
+      return state.status;
+    },
+    summary() {
+      const total = state.hotels.reduce((sum, item) => sum + item.idList.length, 0);
+      const done = Object.values(state.done).reduce((sum, ids) => sum + ids.length, 0);
+      return {
+        id: state.id,
+        status: state.status,
+        updatedAt: state.updatedAt,
+        propertiesDone: state.completedProperties.length,
+        propertiesTotal: state.hotels.length,
+        reservationsDone: done,
+        reservationsTotal: total,
+        failed: state.failed,
+        rows: state.rows.length,
+        outputFile: state.outputFile,
+      };
+    },
+    isPropertyDone(propertyId) {
+      return state.completedProperties.includes(String(propertyId));
+    },
+    isReservationDone(propertyId, reservationId) {
+      return (state.done[propertyId] || []).includes(String(reservationId));
+    },
+    recordReservation(propertyId, reservationId, rows) {
+      const key = String(propertyId);
+      state.done[key] = [...(state.done[key] || []), String(reservationId)];
+      state.failed = state.failed.filter(
+        (entry) =>
+          !(entry.propertyId === key && entry.reservationId === String(reservationId))
+      );
+      state.rows.push(...rows);
+      state.status = "running";
+      saveSoon();
+    },
+    // `chunk` is the work-list entry a reservation found in a search belongs to,
+    // and `basicData` what the table showed for it, so a resume can retry it
+    // after its entry was recorded
+    recordFailure(propertyId, reservationId, message, { chunk, basicData } = {}) {
+      const key = String(propertyId);
+      state.failed = state.failed.filter(
+        (entry) =>
+          !(entry.propertyId === key && entry.reservationId === String(reservationId))
+      );
+      state.failed.push({
+        propertyId: key,
+        reservationId: String(reservationId),
+        message,
+        ...(chunk !== undefined ? { chunk: String(chunk), basicData: basicData || null } : {}),
+      });
+      saveSoon();
+    },
+    // Failed reservations found inside an entry that is already recorded
+    failedRows(propertyId) {
+      return state.failed.filter(
+        (entry) => entry.propertyId === String(propertyId) && entry.chunk !== undefined
+      );
+    },
+    // A failed reservation retried successfully, with the rows it produced;
+    // they replace a placeholder an earlier attempt kept
+    resolveFailure(propertyId, reservationId, rows = []) {
+      const key = String(propertyId);
+      state.failed = state.failed.filter(
+        (entry) =>
+          !(entry.propertyId === key && entry.reservationId === String(reservationId))
+      );
+      replaceRows(state, key, String(reservationId), rows);
+      saveSoon();
+    },
+    // A failed reservation given up on for this run: `rows` (what the results
+    // table showed) are exported in its place, and it stays failed so a resume
+    // retries it
+    recordPlaceholder(propertyId, reservationId, rows = []) {
+      replaceRows(state, String(propertyId), String(reservationId), rows);
+      saveSoon();
+    },
+    // A property only counts as complete when none of its reservations failed
+    completeProperty(propertyId) {
+      const key = String(propertyId);
+      if (state.failed.some((entry) => entry.propertyId === key)) {
+        save();
+        return;
+      }
+      if (!state.completedProperties.includes(key)) {
+        state.completedProperties.push(key);
+      }
+      save();
+    },
+    markInterrupted(message) {
+      state.status = "interrupted";
+      state.lastError = message;
+      save();
+    },
+    // "completed" only when every property is; with failed reservations or
+    // properties left open the export holds what was scraped and the run stays
+    // resumable as "partial". Returns the status.
+    finish(outputFile) {
+      const open = state.hotels.some((item) => !state.completedProperties.includes(item.id));
+      state.status = open || state.failed.length > 0 ? "partial" : "completed";
+      state.outputFile = outputFile;
+      save();
+      return state.status;
+    },
+  };
+};
+
+// Start a checkpoint for a new run
+const createCheckpoint = ({ hotels, passthrough = [], params = {} }) => {
+  const state = {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    updatedAt: null,
+    status: "pending",
+    params,
+    hotels: hotels.map((item) => ({ ...item, id: String(item.id) })),
+    passthrough,
+    completedProperties: [],
+    done: {},
+    failed: [],
+    rows: [],
+    lastError: null,
+    outputFile: null,
+  };
+  writeState(state);
+  return withHelpers(state);
+};
+
+const loadCheckpoint = (id) => {
+  if (!/^[0-9a-f-]{36}$/i.test(String(id))) return null;
+  if (!fs.existsSync(checkpointPath(id))) return null;
+  const saved = JSON.parse(fs.readFileSync(checkpointPath(id), "utf8"));
+  return withHelpers(readState(saved));
+};
+
+export { createCheckpoint, loadCheckpoint };
@@ -0,0 +1,101 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MAPPINGS_PATH = path.join(__dirname, "column-mappings.json");
+
+// Used when an upload doesn't name a profile; matches the original sheet layout
+const DEFAULT_MAPPING = {
+  name: "default",
+  propertyId: ["Property ID"],
+  reservationId: ["Reservation ID"],
+  sheets: [],
+  passthrough: [],
+};
+
+// Headers match regardless of case and surrounding/repeated whitespace
+const normalizeHeader = (header) =>
+  String(header ?? "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : value ? [value] : [])
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+// Null-prototype, like profiles.js: mapping names come from API requests
+const readMappings = () => {
+  const mappings = Object.create(null);
+  if (!fs.existsSync(MAPPINGS_PATH)) return mappings;
+  return Object.assign(mappings, JSON.parse(fs.readFileSync(MAPPINGS_PATH, "utf8")));
+};
+
+const writeMappings = (mappings) => {
+  fs.writeFileSync(MAPPINGS_PATH, JSON.stringify(mappings, null, 2));
+};
+
+// Check and normalise a profile body
+// `sheets`: sheet names to read, ["*"] for every sheet, [] for the first sheet only
+const validateMapping = (body = {}) => {
+  const name = String(body.name ?? "").trim();
+  if (!/^[\w-]+$/.test(name)) {
+    throw new Error("Mapping name may only contain letters, digits, _ and -");
+  }
+  if (name === DEFAULT_MAPPING.name) {
+    throw new Error(`"${DEFAULT_MAPPING.name}" is built in and can't be changed`);
+  }
+
+  const mapping = {
+    name,
+    propertyId: toList(body.propertyId),
+    reservationId: toList(body.reservationId),
+    sheets: toList(body.sheets),
+    passthrough: toList(body.passthrough),
+  };
+
+  if (!mapping.propertyId.length || !mapping.reservationId.length) {
+    throw new Error(
+      "propertyId and reservationId each need at least one header alias"
+    );
+  }
+
+  return mapping;
+};
+
+const saveMapping = (body) => {
+  const mapping = validateMapping(body);
+  const mappings = readMappings();
+  mappings[mapping.name] = { ...mapping, updatedAt: new Date().toISOString() };
+  writeMappings(mappings);
+  return mappings[mapping.name];
+};
+
+const getMapping = (name) => {
+  if (!name || name === DEFAULT_MAPPING.name) return DEFAULT_MAPPING;
+  const mappings = readMappings();
+  return Object.hasOwn(mappings, name) ? mappings[name] : null;
+};
+
+const listMappings = () => [DEFAULT_MAPPING, ...Object.values(readMappings())];
+
+const deleteMapping = (name) => {
+  const mappings = readMappings();
+  if (!Object.hasOwn(mappings, name)) return false;
+  delete mappings[name];
+  writeMappings(mappings);
+  return true;
+};
+
+export {
+  DEFAULT_MAPPING,
+  deleteMapping,
+  getMapping,
+  listMappings,
+  normalizeHeader,
+  saveMapping,
+};
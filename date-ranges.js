@@ -0,0 +1,58 @@
+// Date-range searches on the reservations page: { from, to, dateType } with
+// inclusive YYYY-MM-DD dates. Partner Central shows at most 500 results per
+// search, so ranges that hit the cap are halved until each slice fits.
+
+// Date types the reservations page filters by
+const DATE_TYPES = ["checkIn", "checkOut", "booked"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDate = (value) => {
+  const text = String(value ?? "").trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return null;
+  const date = new Date(`${text}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== text
+    ? null
+    : date;
+};
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+// Check and normalise a range; throws with every problem found
+const validateDateRange = (range = {}) => {
+  const issues = [];
+  const from = parseDate(range.from);
+  const to = parseDate(range.to);
+  const dateType = range.dateType || "checkIn";
+
+  if (!from) issues.push("from must be a YYYY-MM-DD date");
+  if (!to) issues.push("to must be a YYYY-MM-DD date");
+  if (from && to && from > to) issues.push("from is after to");
+  if (!DATE_TYPES.includes(dateType)) {
+    issues.push(`dateType must be one of ${DATE_TYPES.join(", ")}`);
+  }
+  if (issues.length) throw new Error(issues.join(", "));
+
+  return { from: formatDate(from), to: formatDate(to), dateType };
+};
+
+// Stands in for a reservation ID in a property's work list and checkpoint
+const rangeKey = ({ from, to, dateType }) => `${dateType}:${from}:${to}`;
+
+const rangeDays = ({ from, to }) =>
+  Math.round((parseDate(to) - parseDate(from)) / DAY_MS) + 1;
+
+// Two non-overlapping halves of a range, or null for a single day
+const splitDateRange = (range) => {
+  const days = rangeDays(range);
+  if (days < 2) return null;
+
+  const firstEnd = new Date(parseDate(range.from).getTime() + (Math.ceil(days / 2) - 1) * DAY_MS);
+  const secondStart = new Date(firstEnd.getTime() + DAY_MS);
+  return [
+    { ...range, to: formatDate(firstEnd) },
+    { ...range, from: formatDate(secondStart) },
+  ];
+};
+
+export { DATE_TYPES, rangeDays, rangeKey, splitDateRange, validateDateRange };
@@ -0,0 +1,201 @@
+// DOM parsers for the reservations page and its details dialog.
+//
+// Each function only uses its arguments plus the `__select` registry helpers
+// (selectors.js), so the same code runs in the browser through
+// page.evaluate(extractor, ...) and in any headless DOM once
+// createSelect(getRegistry(), true) has installed `__select` there. Roots
+// default to the page's `document`; pass one explicitly elsewhere.
+
+// Basic columns of one reservations table row
+function extractReservationRow(row) {
+  const cell = (name) => __select.one(name, row)?.textContent.trim() || "";
+  return {
+    guestName: cell("row.guestName"),
+    reservationId: cell("row.reservationId"),
+    confirmationCode: cell("row.confirmationCode"),
+    checkInDate: cell("row.checkInDate"),
+    checkOutDate: cell("row.checkOutDate"),
+    roomType: cell("row.roomType"),
+    bookingAmount: cell("row.bookingAmount"),
+    bookedDate: cell("row.bookedDate"),
+  };
+}
+
+// Virtual card (EVC) block of the details dialog: null without one, else its
+// status badge and, when the number is shown, the card details
+function extractCard(doc = document) {
+  const evcCardBase = __select.one("card.base", doc);
+  if (!evcCardBase) return null;
+
+  const statusBadge = __select.one("card.statusBadge", evcCardBase);
+  const status = statusBadge ? statusBadge.textContent.trim() : "None";
+
+  const cardNumber = __select.one("card.number", doc)?.textContent.trim() || "";
+  if (!cardNumber) return { status, card: null };
+
+  const detailCells = __select.all("card.detailCells", doc);
+  const additionalText = __select
+    .all("card.notes", doc)
+    .map((el) => el.textContent.trim())
+    .filter(
+      (text) =>
+        text &&
+        !text.includes("See card activity") &&
+        !text.includes("contact us") &&
+        !text.includes("Show contact details")
+    )
+    .join(" | ");
+
+  return {
+    status,
+    card: {
+      cardNumber,
+      expiryDate: detailCells[0]?.textContent.trim() || "",
+      cvv: detailCells[1]?.textContent.trim() || "",
+      additionalText,
+    },
+  };
+}
+
+// Payment summary amounts by section title; null when none of the payout
+// sections are present
+function extractPaymentSummary(doc = document) {
+  const paymentSummary = __select.one("payment.summary", doc);
+  if (!paymentSummary) return null;
+
+  const findValueByTitle = (titleText) => {
+    for (const section of __select.all("payment.section", paymentSummary)) {
+      const title = __select.one("payment.sectionTitle", section);
+      if (title && title.textContent.trim() === titleText) {
+        const value = __select.one("payment.amount", section);
+        return value ? value.textContent.trim() : "";
+      }
+    }
+    return "";
+  };
+
+  const cancellationFee = findValueByTitle("Cancellation fee");
+  const expediaCompensation = findValueByTitle("Expedia compensation");
+  const totalPayout = findValueByTitle("Your total payout");
+  const totalGuestPayment = findValueByTitle("Total guest payment");
+
+  if (!cancellationFee && !expediaCompensation && !totalPayout) return null;
+  return { totalGuestPayment, cancellationFee, expediaCompensation, totalPayout };
+}
+
+// "Remaining amount to charge" and "Amount to refund", "" when absent
+function extractAdjustments(doc = document) {
+  const amountIn = (sectionName) => {
+    const section = __select.one(sectionName, doc);
+    return (section && __select.one("payment.amount", section)?.textContent.trim()) || "";
+  };
+  return {
+    remainingAmountToCharge: amountIn("payment.remainingSection"),
+    amountToRefund: amountIn("payment.refundSection"),
+  };
+}
+
+// Everything else the dialog shows about the booking. Sections are found by
+// title; guest counts are read from the "Guests" section ("2 adults, 1 child")
+// and are null when it's missing.
+function extractReservationDetails(doc = document) {
+  const root = __select.one("dialog.content", doc) || doc;
+  const text = (el) => el?.textContent.replace(/\s+/g, " ").trim() || "";
+
+  const sections = __select.all("details.section", root).map((section) => {
+    const title = text(__select.one("details.sectionTitle", section));
+    return { title, value: text(section).slice(title.length).trim() };
+  });
+  const valueOf = (pattern) =>
+    sections.find((section) => pattern.test(section.title))?.value || "";
+
+  const guests = valueOf(/^(guests|occupancy)/i);
+  const count = (pattern) => {
+    if (!guests) return null;
+    const match = guests.match(pattern);
+    return match ? parseInt(match[1], 10) : 0;
+  };
+
+  const nightlyRates = __select
+    .all("details.nightlyRate", root)
+    .map((line) => ({
+      date: text(__select.one("details.nightlyRateDate", line)),
+      amount: text(__select.one("payment.amount", line)),
+    }))
+    .filter((line) => line.date && line.amount);
+
+  return {
+    guestEmail: text(__select.one("details.guestEmail", root)),
+    guestPhone: text(__select.one("details.guestPhone", root)),
+    adults: count(/(\d+)\s*adult/i),
+    children: count(/(\d+)\s*child/i),
+    ratePlan: valueOf(/^rate plan/i),
+    taxes: valueOf(/^taxes/i),
+    specialRequests: valueOf(/^special requests?/i),
+    cancellationPolicy: valueOf(/^cancellation policy/i),
+    bookingSource: valueOf(/^(booking source|booked (on|via|through))/i),
+    nightlyRates,
+  };
+}
+
+// Property name from the navigation header: the first `nav.propertyName`
+// fallback with non-empty text
+function extractPropertyName(fallbacks, doc = document) {
+  for (const { css } of fallbacks) {
+    const text = doc.querySelector(css)?.textContent.trim();
+    if (text) return text;
+  }
+  return "";
+}
+
+// Remaining balance on the card activity page: the first balance value
+// labelled as a balance, else the first balance value; "N/A" without one
+function extractCardBalance(fallbacks, doc = document) {
+  for (const { css } of fallbacks) {
+    for (const element of doc.querySelectorAll(css)) {
+      const parent = element.closest("div");
+      if (parent && parent.textContent.toLowerCase().includes("balance")) {
+        return element.textContent.trim();
+      }
+    }
+  }
+
+  const anyBalance = __select.one("cardActivity.balance", doc);
+  return anyBalance ? anyBalance.textContent.trim() : "N/A";
+}
+
+// Transaction list on the card activity page, oldest first as listed
+function extractCardTransactions(doc = document) {
+  return __select
+    .all("cardActivity.transaction", doc)
+    .map((row) => {
+      const cell = (name) =>
+        __select.one(name, row)?.textContent.replace(/\s+/g, " ").trim() || "";
+      return {
+        date: cell("cardActivity.transactionDate"),
+        type: cell("cardActivity.transactionType"),
+        description: cell("cardActivity.transactionDescription"),
+        amount: cell("cardActivity.transactionAmount"),
+        status: cell("cardActivity.transactionStatus"),
+      };
+    })
+    .filter((transaction) => transaction.amount);
+}
+
+// Total from the pagination label ("1 - 10 of 42 Results"), 0 if unreadable
+const parseResultCount = (text) => {
+  const match = String(text || "").match(/of (\d+)\s+Results/);
+  return match ? parseInt(match[1], 10) : 0;
+};
+
+export {
+  extractAdjustments,
+  extractCard,
+  extractCardBalance,
+  extractCardTransactions,
+  extractPaymentSummary,
+  extractPropertyName,
+  extractReservationDetails,
+  extractReservationRow,
+  parseResultCount,
+};
@@ -0,0 +1,191 @@
+import fs from "fs";
+import { google } from "googleapis";
+import path from "path";
+import { fileURLToPath } from "url";
+import logger from "./logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// "default" keeps the original token.json; other mailboxes live in tokens/
+const TOKEN_PATH = path.join(__dirname, "token.json");
+const TOKENS_DIR = path.join(__dirname, "tokens");
+
+const SCOPES = ["https://www.googleapis.com/auth/gmail.readonly"];
+
+// Set by configureOAuth once the environment is loaded
+let oauthSettings = null;
+
+// One OAuth2 client per mailbox, so refreshed tokens are shared by every run
+const clients = new Map();
+
+const configureOAuth = ({ clientId, clientSecret, redirectUri }) => {
+  oauthSettings = { clientId, clientSecret, redirectUri };
+  clients.clear();
+};
+
+const createClient = () => {
+  if (!oauthSettings) throw new Error("Gmail OAuth is not configured");
+  return new google.auth.OAuth2(
+    oauthSettings.clientId,
+    oauthSettings.clientSecret,
+    oauthSettings.redirectUri
+  );
+};
+
+const validateMailbox = (mailbox) => {
+  if (!/^[\w-]+$/.test(String(mailbox))) {
+    throw new Error("Mailbox name may only contain letters, digits, _ and -");
+  }
+  return mailbox;
+};
+
+// Token file for a Gmail mailbox
+const tokenPathFor = (mailbox = "default") =>
+  validateMailbox(mailbox) === "default"
+    ? TOKEN_PATH
+    : path.join(TOKENS_DIR, `${mailbox}.json`);
+
+const readToken = (mailbox) => {
+  const tokenPath = tokenPathFor(mailbox);
+  if (!fs.existsSync(tokenPath)) return null;
+  return JSON.parse(fs.readFileSync(tokenPath, "utf8"));
+};
+
+// Google only sends the refresh token on the first consent, so later token
+// updates are merged into what's on disk rather than replacing it
+const writeToken = (mailbox, tokens) => {
+  const tokenPath = tokenPathFor(mailbox);
+  fs.mkdirSync(path.dirname(tokenPath), { recursive: true });
+  const merged = { ...(readToken(mailbox) || {}), ...tokens };
+  fs.writeFileSync(tokenPath, JSON.stringify(merged));
+  return merged;
+};
+
+// OAuth2 client for a mailbox, or null when it has no saved token.
+// Access tokens the client refreshes are written back to the token file.
+const gmailAuthFor = (mailbox = "default") => {
+  if (clients.has(mailbox)) return clients.get(mailbox);
+
+  const token = readToken(mailbox);
+  if (!token) return null;
+
+  const client = createClient();
+  client.setCredentials(token);
+  client.on("tokens", (tokens) => {
+    writeToken(mailbox, tokens);
+    logger.info(`Saved refreshed Gmail token for mailbox "${mailbox}"`);
+  });
+  clients.set(mailbox, client);
+  return client;
+};
+
+const hasToken = (mailbox = "default") => fs.existsSync(tokenPathFor(mailbox));
+
+// Google consent page URL for a mailbox; /oauth2callback receives the code.
+// `prompt: consent` makes Google issue a new refresh token on re-authorization.
+const authUrlFor = (mailbox = "default") =>
+  createClient().generateAuthUrl({
+    access_type: "offline",
+    prompt: "consent",
+    scope: SCOPES,
+    state: validateMailbox(mailbox),
+  });
+
+// Exchange the consent code for tokens and save them for the mailbox
+const saveAuthorization = async (mailbox, code) => {
+  const { tokens } = await createClient().getToken(code);
+  writeToken(mailbox, tokens);
+  clients.delete(mailbox);
+  return tokens;
+};
+
+const listMailboxes = () => {
+  const names = fs.existsSync(TOKEN_PATH) ? ["default"] : [];
+  if (fs.existsSync(TOKENS_DIR)) {
+    for (const file of fs.readdirSync(TOKENS_DIR)) {
+      if (file.endsWith(".json")) names.push(path.basename(file, ".json"));
+    }
+  }
+  return names;
+};
+
+// Whether the mailbox token works right now: refreshes it if needed, then
+// asks Google for its scopes and expiry and Gmail for the mailbox address
+const mailboxStatus = async (mailbox = "default") => {
+  const client = gmailAuthFor(mailbox);
+  if (!client) return { mailbox, authorized: false, valid: false };
+
+  const status = {
+    mailbox,
+    authorized: true,
+    valid: false,
+    email: null,
+    scopes: [],
+    expiresAt: null,
+    hasRefreshToken: !!client.credentials.refresh_token,
+    error: null,
+  };
+
+  try {
+    const { token } = await client.getAccessToken();
+    const info = await client.getTokenInfo(token);
+    const profile = await google
+      .gmail({ version: "v1", auth: client })
+      .users.getProfile({ userId: "me" });
+
+    status.valid = true;
+    status.email = profile.data.emailAddress;
+    status.scopes = info.scopes;
+    status.expiresAt = new Date(info.expiry_date).toISOString();
+  } catch (error) {
+    status.error = error.response?.data?.error_description || error.message;
+  }
+  return status;
+};
+
+// Throw a clear error unless the mailbox token can be used for a run
+const assertMailboxUsable = async (mailbox = "default") => {
+  const status = await mailboxStatus(mailbox);
+  if (!status.authorized) {
+    throw new Error(`Gmail mailbox "${mailbox}" has no token; authorize it at /auth?mailbox=${mailbox}`);
+  }
+  if (!status.valid) {
+    throw new Error(
+      `Gmail mailbox "${mailbox}" token is unusable (${status.error}); re-authorize it at /auth?mailbox=${mailbox}`
+    );
+  }
+  if (!status.scopes.some((scope) => SCOPES.includes(scope))) {
+    throw new Error(`Gmail mailbox "${mailbox}" token lacks the gmail.readonly scope`);
+  }
+  return status;
+};
+
+// Revoke the mailbox token with Google and delete it locally
+const revokeMailbox = async (mailbox = "default") => {
+  const token = readToken(mailbox);
+  if (!token) return false;
+
+  try {
+    await createClient().revokeToken(token.refresh_token || token.access_token);
+  } catch (error) {
+    // Already revoked or expired tokens can still be forgotten locally
+    logger.warn(`Google did not revoke token for "${mailbox}": ${error.message}`);
+  }
+
+  fs.unlinkSync(tokenPathFor(mailbox));
+  clients.delete(mailbox);
+  return true;
+};
+
+export {
+  assertMailboxUsable,
+  authUrlFor,
+  configureOAuth,
+  gmailAuthFor,
+  hasToken,
+  listMailboxes,
+  mailboxStatus,
+  revokeMailbox,
+  saveAuthorization,
+};
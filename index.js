@@ -1,16 +1,134 @@
 import cors from "cors";
+import crypto from "crypto";
 import dotenv from "dotenv";
 import express from "express";
 import fs from "fs";
-import { google } from "googleapis";
 import http from "http";
+import multer from "multer";
 import open from "open";
 import path from "path";
-import puppeteer from "puppeteer";
 import { Server } from "socket.io";
 import { fileURLToPath } from "url";
 import xlsx from "xlsx";
+import {
+  deleteMapping,
+  getMapping,
+  listMappings,
+  saveMapping,
+} from "./column-mappings.js";
+import { summarizeCardActivity } from "./card-activity.js";
+import { createCheckpoint, loadCheckpoint } from "./checkpoints.js";
+import { CAPTURE_MODES, createResponseCapture } from "./network-capture.js";
+import { rangeDays, rangeKey, splitDateRange } from "./date-ranges.js";
+import { classifyError, stepError, withRetry } from "./retry-policy.js";
+import {
+  closeBrowser,
+  listLaunchProfiles,
+  openBrowser,
+  preparePage,
+  publicLaunchProfile,
+  resolveLaunchProfile,
+} from "./browser-profiles.js";
+import { createPacer, logTimings, pacerFor, pacingProfileFor } from "./pacing.js";
+import {
+  resultsSnapshot,
+  waitForCardActivity,
+  waitForDialogClosed,
+  waitForDialogContent,
+  waitForInputLength,
+  waitForInputReady,
+  waitForPropertyRow,
+  waitForResults,
+} from "./page-conditions.js";
+import {
+  clearPropertyUrls,
+  forgetPropertyUrl,
+  getPropertyUrl,
+  listPropertyUrls,
+  savePropertyUrl,
+} from "./property-urls.js";
+import {
+  createArtifactRecorder,
+  deleteArtifactRun,
+  getArtifact,
+  listArtifactRuns,
+  listArtifacts,
+} from "./artifacts.js";
+import {
+  assignHotels,
+  deleteProfile,
+  getProfile,
+  listProfiles,
+  migrateProfiles,
+  publicProfile,
+  saveProfile,
+} from "./profiles.js";
+import {
+  findEntry,
+  getRegistry,
+  installSelectors,
+  resolveCss,
+  waitForEntry,
+} from "./selectors.js";
+import {
+  clearSession,
+  listSessions,
+  loadSession,
+  saveSession,
+  sessionSummary,
+} from "./sessions.js";
+import {
+  createSchedule,
+  deleteSchedule,
+  getSchedule,
+  listSchedules,
+  pauseSchedule,
+  resumeSchedule,
+  startScheduler,
+} from "./scheduler.js";
+import {
+  cancelJob,
+  createJob,
+  getActiveJob,
+  getJob,
+  jobEvents,
+  listJobs,
+  serializeJob,
+} from "./jobs.js";
+import {
+  extractAdjustments,
+  extractCard,
+  extractCardBalance,
+  extractCardTransactions,
+  extractPaymentSummary,
+  extractPropertyName,
+  extractReservationDetails,
+  extractReservationRow,
+  parseResultCount,
+} from "./extractors.js";
+import {
+  assertMailboxUsable,
+  authUrlFor,
+  configureOAuth,
+  gmailAuthFor,
+  hasToken,
+  listMailboxes,
+  mailboxStatus,
+  revokeMailbox,
+  saveAuthorization,
+} from "./gmail-tokens.js";
+import {
+  createInputFromFile,
+  createInputFromJson,
+  getDataFromSheet,
+  getInput,
+  listInputs,
+} from "./inputs.js";
 import logger from "./logger.js";
+import {
+  createCodeProvider,
+  submitManualCode,
+} from "./verification-providers.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,11 +139,19 @@ const app = express();
 app.use(
   cors({
     origin: "http://localhost:3001", // Frontend URL
-    methods: ["GET", "POST"],
+    methods: ["GET", "POST", "DELETE"],
     allowedHeaders: ["Content-Type", "Authorization"],
   })
 );
 
+app.use(express.json());
+
+// Input uploads are parsed in memory and stored by inputs.js
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+});
+
 const server = http.createServer(app);
 const io = new Server(server, {
   cors: {
@@ -42,1116 +168,1685 @@ const port = 3000;
 const CLIENT_ID = process.env.CLIENT_ID;
 const CLIENT_SECRET = process.env.CLIENT_SECRET;
 const REDIRECT_URI = `http://localhost:${port}/oauth2callback`;
-const TOKEN_PATH = "token.json";
 
-const oauth2Client = new google.auth.OAuth2(
-  CLIENT_ID,
-  CLIENT_SECRET,
-  REDIRECT_URI
-);
-const SCOPES = ["https://www.googleapis.com/auth/gmail.readonly"];
+configureOAuth({
+  clientId: CLIENT_ID,
+  clientSecret: CLIENT_SECRET,
+  redirectUri: REDIRECT_URI,
+});
 
 let verificationCode = "";
 
-const getDataFromSheet = () => {
-  try {
-    const workbook = xlsx.readFile("testing-1.xlsx");
-    const sheetName = workbook.SheetNames[0];
-    const sheet = workbook.Sheets[sheetName];
-    const sheetData = xlsx.utils.sheet_to_json(sheet, { defval: "" });
+// Add this helper function at the top level
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// PARTNER_CENTRAL_BASE_URL points every page at another host, e.g. the
+// local simulator (simulator.js); unset, the real Partner Central is used
+const PARTNER_CENTRAL_BASE_URL = (process.env.PARTNER_CENTRAL_BASE_URL || "").replace(/\/+$/, "");
+
+// Home page with the property table; where each property visit starts
+const PARTNER_CENTRAL_HOME = PARTNER_CENTRAL_BASE_URL
+  ? `${PARTNER_CENTRAL_BASE_URL}/`
+  : "https://apps.expediapartnercentral.com/";
+const PARTNER_CENTRAL_LOGON = `${
+  PARTNER_CENTRAL_BASE_URL || "https://www.expediapartnercentral.com"
+}/Account/Logon?signedOff=true`;
+
+// Sort scraped rows in place by property, then reservation, as listed in the input
+const sortByInput = (rows, hotels) => {
+  const order = new Map();
+  hotels.forEach((item, propertyIndex) => {
+    item.idList.forEach((id, idIndex) => {
+      order.set(`${item.id}:${id}`, propertyIndex * 1e6 + idIndex);
+    });
+  });
+  const position = (row) =>
+    order.get(`${row.propertyId}:${row.inputReservationId ?? row.reservationId}`) ??
+    Number.MAX_SAFE_INTEGER;
+  return rows.sort((a, b) => position(a) - position(b));
+};
 
-    console.log("Sheet Data:", sheetData);
+// Click the passcode page's resend option. Returns false when there is none.
+async function requestNewPasscode(page) {
+  const clicked = await page.evaluate(() => {
+    const option = __select.one("login.resendCode");
+    if (!option || option.disabled) return false;
+    option.click();
+    return true;
+  });
 
-    if (!Array.isArray(sheetData) || sheetData.length === 0) {
-      console.error("No data found in the sheet or invalid format");
-      return [];
+  if (clicked) {
+    logger.info("Requested a new verification code");
+    await pacerFor(page).think();
+  } else {
+    logger.warn("No resend option found on the verification page");
+  }
+  return clicked;
+}
+
+// Sign in to Partner Central on `page`: email, password and emailed passcode.
+// Each stage is reported to `job` as a "login" event; `codeProvider`
+// (verification-providers.js) supplies the passcode.
+async function signIn(page, email, password, job, codeProvider) {
+  const pacer = pacerFor(page);
+  job?.emit("login", { stage: "navigating" });
+  // Navigate to partner central
+  logger.info("Navigating to Expedia Partner Central...");
+  await page.goto(
+    PARTNER_CENTRAL_LOGON,
+    {
+      waitUntil: ["networkidle0", "domcontentloaded"],
+      timeout: 60000,
     }
+  );
 
-    const hashMap = {};
-    const hotels = [];
-    let cnt = 0;
+  logger.info("Waiting for page load...");
 
-    for (const item of sheetData) {
-      if (!item["Property ID"]) {
-        console.warn("Skipping row with no Property ID:", item);
-        continue;
-      }
+  // Wait for email input
+  await waitForEntry(page, "login.email");
+  await pacer.think();
 
-      if (!hashMap[item["Property ID"]]) {
-        hashMap[item["Property ID"]] = ++cnt;
-        hotels.push({
-          id: item["Property ID"],
-          idList: [item["Reservation ID"]],
-        });
-      } else {
-        hotels[hashMap[item["Property ID"]] - 1].idList.push(
-          item["Reservation ID"]
-        );
-      }
-    }
+  await page.evaluate(() => {
+    window.scrollBy(0, 200); // Scroll down by 200 pixels
+  });
 
-    console.log("Processed Hotels:", hotels);
-    return hotels;
-  } catch (error) {
-    console.error("Error reading sheet:", error);
-    return [];
-  }
-};
+  // Type email slowly, character by character
+  await pacer.type(page, await resolveCss(page, "login.email"), email);
 
-// Add this helper function at the top level
-const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  // Click continue button
+  await page.click(await resolveCss(page, "login.continue"));
 
-// Load token if it exists
-function loadToken() {
-  if (fs.existsSync(TOKEN_PATH)) {
-    const token = JSON.parse(fs.readFileSync(TOKEN_PATH));
-    oauth2Client.setCredentials(token);
-    return true;
-  }
-  return false;
-}
+  // Wait before entering password
+  logger.info("Waiting for password page to load...");
+  job?.emit("login", { stage: "password" });
 
-// Fetch verification code from Gmail
-async function getVerificationCode() {
+  // Wait for password page to be fully loaded
   try {
-    const gmail = google.gmail({ version: "v1", auth: oauth2Client });
-    const res = await gmail.users.messages.list({
-      userId: "me",
-      maxResults: 5,
-    });
+    logger.info("Waiting for password page to fully load...");
 
-    if (!res.data.messages) {
-      logger.info("No new emails found.");
-      return null;
+    // Partner Central serves one of two password forms; wait for either
+    try {
+      await waitForEntry(page, "login.password", {
+        visible: true,
+        timeout: 30000,
+      });
+    } catch (error) {
+      logger.info("No password input found. Page title: " + (await page.title()));
+      throw new Error("Password input field not found on the page");
     }
+    const passwordInput = await resolveCss(page, "login.password");
 
-    for (const msg of res.data.messages) {
-      const email = await gmail.users.messages.get({
-        userId: "me",
-        id: msg.id,
-      });
-      const body = email.data.snippet;
-      logger.info("Email body:", body);
-      const codeMatch = body.match(/\b\d{6,10}\b/);
-      logger.info("Code match:", codeMatch);
+    // The field can render before it accepts input
+    await waitForInputReady(page, passwordInput);
 
-      if (codeMatch) {
-        return codeMatch[0];
-      }
+    // Click on the password field first to ensure focus
+    await page.click(passwordInput);
+    await pacer.think();
+
+    // Clear the field in case there's any text
+    await page.evaluate((selector) => {
+      document.querySelector(selector).value = "";
+    }, passwordInput);
+
+    logger.info("Password page fully loaded, entering password...");
+    await pacer.type(page, passwordInput, password);
+
+    // Verify password was entered correctly
+    try {
+      await waitForInputLength(page, passwordInput, password.length);
+    } catch (error) {
+      const entered = await page.evaluate(
+        (selector) => document.querySelector(selector).value.length,
+        passwordInput
+      );
+      logger.warn(
+        `Password entry issue: expected ${password.length} chars but got ${entered}`
+      );
+
+      // Re-enter password
+      await page.evaluate((selector) => {
+        document.querySelector(selector).value = "";
+      }, passwordInput);
+      await pacer.type(page, passwordInput, password);
+      await waitForInputLength(page, passwordInput, password.length);
     }
+    await pacer.think();
 
-    logger.info("No verification code found in recent emails.");
-    return null;
+    // Click the login button that belongs to this password form
+    logger.info("Clicking password continue button...");
+    await page.click(await resolveCss(page, "login.passwordSubmit"));
   } catch (error) {
-    logger.error("Error fetching emails:", error.message);
-    return null;
+    logger.info("Error during password entry:", error.message);
+    throw error;
   }
-}
-
-// Utility function for delays
-const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-const randomDelay = () => Math.floor(Math.random() * (3000 - 1000) + 1000);
 
-// Puppeteer Login Function
-async function loginToExpediaPartner(
-  email = process.env.EMAIL,
-  password = process.env.PASSWORD
-) {
-  let browser = null;
-  try {
-    browser = await puppeteer.launch({
-      headless: false,
-      defaultViewport: null,
-      args: [
-        "--start-maximized",
-        "--no-sandbox",
-        "--disable-setuid-sandbox",
-        "--disable-web-security",
-        "--disable-features=IsolateOrigins,site-per-process",
-      ],
-      timeout: 60000,
-    });
+  // Wait for verification code page using the correct selector
+  logger.info("Waiting for verification page...");
+  await waitForEntry(page, "login.passcode", {
+    visible: true,
+    timeout: 60000,
+  });
+  const passcodePageAt = Date.now();
 
-    const page = await browser.newPage();
-    await page.setDefaultNavigationTimeout(60000);
-    await page.setDefaultTimeout(60000);
-
-    // Navigate to partner central
-    logger.info("Navigating to Expedia Partner Central...");
-    await page.goto(
-      "https://www.expediapartnercentral.com/Account/Logon?signedOff=true",
-      {
-        waitUntil: ["networkidle0", "domcontentloaded"],
-        timeout: 60000,
-      }
-    );
+  // Get verification code from the profile's provider
+  let code = await codeProvider.getCode({ since: passcodePageAt });
 
-    logger.info("Waiting for page load...");
+  // The email never came: ask for a new one and wait for that instead
+  if (!code && codeProvider.canResend && (await requestNewPasscode(page))) {
+    job?.emit("login", { stage: "passcode-resent" });
+    code = await codeProvider.getCode({ since: Date.now() });
+  }
 
-    await delay(randomDelay());
+  if (!code) {
+    throw new Error(`Failed to get verification code from ${codeProvider.type}`);
+  }
+  logger.info("Got verification code:", code);
 
-    await page.evaluate(() => {
-      window.scrollBy(0, 200); // Scroll down by 200 pixels
-    });
-    // Wait for email input
-    await page.waitForSelector("#emailControl");
+  // Enter verification code using the correct selector
+  await pacer.type(page, await resolveCss(page, "login.passcode"), code);
+  await pacer.think();
 
-    // Type email slowly, character by character
-    for (let char of email) {
-      await page.type("#emailControl", char, { delay: 100 }); // 100ms delay between each character
-    }
+  // await verifyButton.click()
+  const verifyButtonHandle = await findEntry(page, "login.passcodeSubmit");
 
-    // Click continue button
-    await page.click("#continueButton");
+  if (!verifyButtonHandle) {
+    throw new Error("Verify button not found");
+  }
 
-    // Wait before entering password
-    logger.info("Waiting for password page to load...");
+  // Check if the button is disabled
+  const isDisabled = await page.evaluate(
+    (button) => button.disabled,
+    verifyButtonHandle
+  );
 
-    // Wait for password page to be fully loaded
-    try {
-      logger.info("Waiting for password page to fully load...");
+  if (isDisabled) {
+    throw new Error("Verify button is disabled");
+  }
 
-      // Try to find the password input field with a try-catch to handle both possible selectors
-      let passwordInputFound = false;
+  // Click the button
+  await verifyButtonHandle.click();
+  codeProvider.markUsed(code);
+  logger.info("Clicked the verify button successfully!");
+  job?.emit("login", { stage: "passcode-submitted" });
 
-      try {
-        // First try to find #password-input
-        const passwordInput = await page.waitForSelector("#password-input", {
-          visible: true,
-          timeout: 15000, // Shorter timeout for first attempt
-        });
+  // Wait for successful login
+  await page.waitForNavigation({
+    waitUntil: "networkidle0",
+    timeout: 60000,
+  });
 
-        if (passwordInput) {
-          passwordInputFound = true;
+  logger.info("Login successful!");
+  job?.emit("login", { stage: "signed-in" });
+}
 
-          // Add a significant delay to ensure the page is fully loaded and stable
-          await delay(3000);
+// Passcode provider for a run's account. A gmail provider's token is checked
+// (and refreshed) up front so an unusable one fails before the browser starts.
+async function codeProviderFor({ verification = { type: "gmail" }, mailbox, job }) {
+  if (verification.type !== "gmail") return createCodeProvider(verification, { job });
 
-          // Verify the password field is actually ready for input
-          const isInputReady = await page.evaluate(() => {
-            const input = document.querySelector("#password-input");
-            return input && !input.disabled && document.activeElement !== input;
-          });
+  await assertMailboxUsable(mailbox);
+  return createCodeProvider(verification, { gmailAuth: gmailAuthFor(mailbox), job });
+}
 
-          if (!isInputReady) {
-            logger.info("Password input not fully ready, waiting longer...");
-            await delay(2000);
-          }
+// New tab with the scraper's timeouts and the selector registry installed.
+// `artifacts` (artifacts.js) starts collecting the page's console and
+// network errors for failure captures; `pacer` (pacing.js) is the run's
+// pacer, attached so helpers that only get the page find it (pacerFor).
+async function openPage(browser, { artifacts, pacer } = {}) {
+  const page = await browser.newPage();
+  await page.setDefaultNavigationTimeout(60000);
+  await page.setDefaultTimeout(60000);
+  await preparePage(page);
+  await installSelectors(page);
+  artifacts?.watch(page);
+  pacer?.attach(page);
+  watchSession(page);
+  return page;
+}
 
-          // Click on the password field first to ensure focus
-          await page.click("#password-input");
-          await delay(1000);
+// Partner Central sends signed-out visitors here
+const SIGNED_OUT_PATH = /\/Account\/Logon/i;
+
+// Pages whose XHR/fetch calls were refused as unauthorized since they last
+// navigated. The reservations page loads its data in place, so when the
+// session expires it keeps showing the previous results at the same URL.
+const refusedPages = new WeakSet();
+
+const watchSession = (page) => {
+  page.on("response", (response) => {
+    if (
+      response.status() === 401 &&
+      ["xhr", "fetch"].includes(response.request().resourceType())
+    ) {
+      refusedPages.add(page);
+    }
+  });
+  page.on("framenavigated", (frame) => {
+    if (frame === page.mainFrame()) refusedPages.delete(page);
+  });
+};
 
-          // Clear the field in case there's any text
-          await page.evaluate(() => {
-            document.querySelector("#password-input").value = "";
-          });
-          await delay(500);
+const isSignedOut = (page) => SIGNED_OUT_PATH.test(page.url()) || refusedPages.has(page);
 
-          logger.info("Password page fully loaded, entering password...");
+// Throw when `page` lost its session, e.g. before reading results a search
+// may not have been allowed to load
+const assertSignedIn = (page) => {
+  if (isSignedOut(page)) throw stepError("sessionExpired", "Partner Central session expired");
+};
 
-          // Type password slowly with increased delays
-          for (let char of password) {
-            await page.type("#password-input", char, { delay: 150 }); // Increased delay
-            await delay(100); // Increased delay between characters
-          }
+// Failure kind of a step on `page`: a signed-out page means the session
+// expired, whatever the step was waiting for
+const failureKindOn = (page) => (error) =>
+  isSignedOut(page) ? "sessionExpired" : classifyError(error);
+
+// Sign `page` in for the run's account (options.account, else "default").
+// Saved session cookies are reused while Partner Central accepts them; once
+// it redirects to the logon page the full login runs and fresh cookies are
+// saved. `options.forceLogin` skips the saved session.
+async function openSession(page, email, password, options, codeProvider) {
+  const { job } = options;
+  const account = options.account || "default";
+  const saved = options.forceLogin ? null : loadSession(account, email);
+
+  if (saved) {
+    job?.emit("login", { stage: "restoring-session" });
+    await page.browser().setCookie(...saved.cookies);
+    await page.goto(PARTNER_CENTRAL_HOME, { waitUntil: "networkidle0" });
+
+    if (!SIGNED_OUT_PATH.test(page.url())) {
+      logger.info(`Reusing saved session for ${account} from ${saved.savedAt}`);
+      job?.emit("login", { stage: "session-restored" });
+      return;
+    }
 
-          // Wait longer before clicking submit to ensure password is fully entered
-          logger.info("Password entered, waiting before clicking submit...");
-          await delay(5000);
+    logger.info(`Saved session for ${account} has expired, signing in again`);
+    clearSession(account);
+  }
 
-          // Verify password was entered correctly
-          const enteredPassword = await page.evaluate(() => {
-            return document.querySelector("#password-input").value;
-          });
+  await signIn(page, email, password, job, codeProvider);
+  if (saveSession(account, { email, cookies: await page.browser().cookies() })) {
+    logger.info(`Saved session for ${account}`);
+  }
+}
 
-          if (enteredPassword.length !== password.length) {
-            logger.warn(
-              `Password entry issue: expected ${password.length} chars but got ${enteredPassword.length}`
-            );
+// Run the full login for a profile and save its session; the job behind
+// POST /api/sessions/:account/refresh
+async function refreshSession(profile, job) {
+  const options = {
+    job,
+    account: profile.name,
+    mailbox: profile.mailbox,
+    verification: profile.verification,
+    forceLogin: true,
+  };
+  const codeProvider = await codeProviderFor(options);
+
+  const browser = await openBrowser(resolveLaunchProfile(profile.browser));
+  job?.attachBrowser(browser);
+  try {
+    const page = await openPage(browser);
+    await openSession(page, profile.email, profile.password, options, codeProvider);
+  } finally {
+    await closeBrowser(browser).catch(() => {});
+  }
 
-            // Re-enter password if needed
-            await page.evaluate(() => {
-              document.querySelector("#password-input").value = "";
-            });
-            await delay(1000);
+  const session = loadSession(profile.name);
+  return { account: profile.name, session: session && sessionSummary(session) };
+}
 
-            // Try again with even slower typing
-            for (let char of password) {
-              await page.type("#password-input", char, { delay: 200 });
-              await delay(150);
-            }
-            await delay(2000);
-          }
+// Run each credential profile's share of the checkpoint in turn, then export
+// everything as one workbook. A profile that fails is recorded on the job and
+// the remaining profiles still run; the job then fails so it can be resumed.
+async function runAccounts(
+  profiles,
+  { job, checkpoint, concurrency, output, capture, launchProfile, pacing }
+) {
+  const failedAccounts = [];
+  // One pacer for the run, so step timings cover every account
+  const pacer = createPacer(pacing);
 
-          // Click the login button
-          logger.info("Clicking password continue button...");
-          await page.click("#password-continue");
-        }
-      } catch (error) {
-        logger.info(
-          "Could not find #password-input, trying #passwordControl instead:",
-          error.message
-        );
-        passwordInputFound = false;
-      }
+  for (const profile of profiles) {
+    job?.throwIfCancelled();
+    if (!checkpoint.hotels.some((item) => item.account === profile.name)) continue;
 
-      // If #password-input wasn't found, try #passwordControl
-      if (!passwordInputFound) {
-        try {
-          // Check if #passwordControl exists
-          const passwordControlExists = await page.evaluate(() => {
-            return !!document.querySelector("#passwordControl");
-          });
+    logger.info(`Processing account ${profile.name} (${profile.email})`);
+    try {
+      await loginToExpediaPartner(profile.email, profile.password, {
+        job,
+        checkpoint,
+        concurrency,
+        output,
+        capture,
+        launchProfile: resolveLaunchProfile(launchProfile, profile.browser),
+        pacer,
+        account: profile.name,
+        mailbox: profile.mailbox,
+        verification: profile.verification,
+        skipExport: true,
+      });
+    } catch (error) {
+      if (job?.isCancelled()) throw error;
+      logger.error(`Account ${profile.name} failed: ${error.message}`);
+      job?.recordError(error.message, { account: profile.name });
+      failedAccounts.push(profile.name);
+    }
+  }
+  reportTimings(pacer, job);
 
-          if (!passwordControlExists) {
-            logger.info(
-              "Neither #password-input nor #passwordControl found. Checking page content..."
-            );
-            const pageContent = await page.content();
-            logger.info("Page title: " + (await page.title()));
-            throw new Error("Password input field not found on the page");
-          }
+  const rows = sortByInput([...checkpoint.rows], checkpoint.hotels);
+  const outputFile = exportReservations(rows, {
+    passthrough: checkpoint.passthrough,
+    output,
+  });
 
-          // Add a significant delay to ensure the page is fully loaded and stable
-          await delay(3000);
+  if (failedAccounts.length > 0) {
+    const message = `Accounts failed: ${failedAccounts.join(", ")}`;
+    checkpoint.markInterrupted(message);
+    throw new Error(message);
+  }
 
-          // Verify the password field is actually ready for input
-          const isInputReady = await page.evaluate(() => {
-            const input = document.querySelector("#passwordControl");
-            return input && !input.disabled && document.activeElement !== input;
-          });
+  return {
+    outputFile,
+    status: finishCheckpoint(checkpoint, outputFile),
+    totalReservations: rows.length,
+    skippedReservations: job?.skipped.length || 0,
+    timings: pacer.timings(),
+  };
+}
 
-          if (!isInputReady) {
-            logger.info("Password input not fully ready, waiting longer...");
-            await delay(2000);
-          }
+// Mark the checkpoint finished with the run's export; "partial" when
+// reservations are still failed, so POST /api/jobs/:id/resume can retry them
+function finishCheckpoint(checkpoint, outputFile) {
+  if (!checkpoint) return "completed";
+  const status = checkpoint.finish(outputFile);
+  if (status === "partial") {
+    const { failed, propertiesDone, propertiesTotal } = checkpoint.summary();
+    logger.warn(
+      `Run ${checkpoint.id} is partial (${failed.length} failed reservations, ${propertiesTotal - propertiesDone} properties open); resume it to retry them`
+    );
+  }
+  return status;
+}
 
-          // Click on the password field first to ensure focus
-          await page.click("#passwordControl");
-          await delay(1000);
+// Log where the run's time went and send it to the dashboard
+function reportTimings(pacer, job) {
+  const timings = pacer.timings();
+  logTimings(timings);
+  job?.emit("timings", { pacing: pacer.name, timings });
+}
 
-          // Clear the field in case there's any text
-          await page.evaluate(() => {
-            document.querySelector("#passwordControl").value = "";
-          });
-          await delay(500);
+// Puppeteer Login Function
+// `options.hotels` is the [{ id, idList, extras }] list to process; defaults to testing-1.xlsx
+// `options.passthrough` lists input columns copied from `extras` into the export
+// `options.job` is the jobs.js job this run reports progress to, if any
+// `options.checkpoint` (checkpoints.js) persists progress as reservations finish;
+// when it already holds progress the run resumes after the last saved reservation
+// `options.concurrency` is how many tabs work through the properties at once (default 1)
+// `options.output` sets the export { directory, filePrefix }
+// `options.capture` is "network" to read reservations from the JSON responses
+// the pages load (network-capture.js), or "dom" (default) to read the page
+// `options.account` limits the run to hotels assigned to that credential profile
+// and tags its rows; `options.mailbox` names the Gmail token for its passcodes
+// `options.verification` is the profile's passcode provider config (default gmail)
+// `options.skipExport` leaves the export to the caller (see runAccounts)
+// `options.forceLogin` ignores the account's saved session (see openSession)
+// `options.launchProfile` names the browser-profiles.js profile to launch or
+// connect with (default BROWSER_PROFILE, else "default")
+// `options.artifacts` (artifacts.js) records failures; defaults to a folder
+// named by the checkpoint ID
+// `options.pacing` names the pacing.js profile (default PACING_PROFILE, else
+// "normal"); `options.pacer` shares one pacer, and its step timings, across calls
+async function loginToExpediaPartner(
+  email = process.env.EMAIL,
+  password = process.env.PASSWORD,
+  options = {}
+) {
+  const { job, checkpoint } = options;
+  const artifacts =
+    options.artifacts ||
+    createArtifactRecorder(checkpoint?.id || crypto.randomUUID());
+  const pacer = options.pacer || createPacer(options.pacing);
+  // Reservations given up on in this call, reported with or without a job
+  const skipped = [];
+  let browser = null;
+  let page = null;
+  try {
+    const allHotels = checkpoint?.hotels || options.hotels || getDataFromSheet();
+    // Multi-account runs call this once per profile with that profile's hotels
+    const sheetData = options.account
+      ? allHotels.filter((item) => item.account === options.account)
+      : allHotels;
+    const passthrough = checkpoint?.passthrough || options.passthrough || [];
+    const checkpointRows = () =>
+      checkpoint.rows.filter((row) => !options.account || row.account === options.account);
+    const allReservations = checkpoint ? checkpointRows() : [];
+    const pendingHotels = sheetData.filter(
+      (item) => !checkpoint?.isPropertyDone(item.id)
+    );
 
-          logger.info("Password page fully loaded, entering password...");
+    if (checkpoint && pendingHotels.length < sheetData.length) {
+      logger.info(
+        `Resuming run ${checkpoint.id}: ${sheetData.length - pendingHotels.length} properties and ${allReservations.length} rows already done`
+      );
+    }
 
-          // Type password slowly with increased delays
-          for (let char of password) {
-            await page.type("#passwordControl", char, { delay: 150 }); // Increased delay
-            await delay(100); // Increased delay between characters
-          }
+    job?.update({
+      account: options.account || null,
+      propertiesTotal: allHotels.length,
+      propertiesDone: allHotels.filter((item) => checkpoint?.isPropertyDone(item.id))
+        .length,
+      totalResults: allHotels.reduce((sum, item) => sum + item.idList.length, 0),
+      reservationsProcessed: checkpoint?.summary().reservationsDone || 0,
+      reservationsScraped: checkpoint?.rows.length || allReservations.length,
+    });
 
-          // Wait longer before clicking submit to ensure password is fully entered
-          logger.info("Password entered, waiting before clicking submit...");
-          await delay(5000);
+    // Nothing left to scrape means only the export was missing; skip the login
+    const pages = [];
+    if (pendingHotels.length > 0) {
+      const codeProvider = await codeProviderFor(options);
 
-          // Verify password was entered correctly
-          const enteredPassword = await page.evaluate(() => {
-            return document.querySelector("#passwordControl").value;
-          });
+      browser = await openBrowser(resolveLaunchProfile(options.launchProfile));
+      job?.attachBrowser(browser);
 
-          if (enteredPassword.length !== password.length) {
-            logger.warn(
-              `Password entry issue: expected ${password.length} chars but got ${enteredPassword.length}`
-            );
+      page = await openPage(browser, { artifacts, pacer });
 
-            // Re-enter password if needed
-            await page.evaluate(() => {
-              document.querySelector("#passwordControl").value = "";
-            });
-            await delay(1000);
+      await pacer.time("sign-in", () =>
+        openSession(page, email, password, options, codeProvider)
+      );
+      pages.push(page);
 
-            // Try again with even slower typing
-            for (let char of password) {
-              await page.type("#passwordControl", char, { delay: 200 });
-              await delay(150);
-            }
-            await delay(2000);
-          }
+      // Extra tabs share the signed-in session cookies, so they only need to
+      // open the home page before taking properties from the queue
+      const concurrency = Math.min(
+        Math.max(parseInt(options.concurrency, 10) || 1, 1),
+        pendingHotels.length
+      );
+      for (let i = 1; i < concurrency; i++) {
+        const workerPage = await openPage(browser, { artifacts, pacer });
+        await workerPage.goto(PARTNER_CENTRAL_HOME, { waitUntil: "networkidle0" });
+        pages.push(workerPage);
+      }
+      logger.info(`Processing properties with ${pages.length} page(s)`);
+    }
 
-          // Click the login button
-          logger.info("Clicking password continue button...");
-          await page.click("#signInButton");
+    // Worker tabs whose session expires sign in again; tabs share cookies, so
+    // tabs that expire together wait for one login
+    let reauthenticating = null;
+    const reauthenticate = (workerPage) => {
+      reauthenticating ??= codeProviderFor(options)
+        .then((codeProvider) =>
+          openSession(workerPage, email, password, { ...options, forceLogin: true }, codeProvider)
+        )
+        .finally(() => {
+          reauthenticating = null;
+        });
+      return reauthenticating;
+    };
+
+    // Each worker page takes the next property from the shared queue
+    const queue = [...pendingHotels];
+    const worker = async (workerPage) => {
+      while (queue.length > 0) {
+        await job?.waitIfPaused();
+        const item = queue.shift();
+        if (!item) break;
+        try {
+          const rows = await processProperty(workerPage, item, browser, {
+            ...options,
+            artifacts,
+            reauthenticate,
+            skipped,
+          });
+          allReservations.push(...rows);
         } catch (error) {
-          logger.error("Error handling password input:", error.message);
+          await artifacts.capture(workerPage, error, {
+            propertyId: item.id,
+            step: "property",
+          });
+          // Stop the other workers from picking up more properties
+          queue.length = 0;
           throw error;
         }
       }
-    } catch (error) {
-      logger.info("Error during password entry:", error.message);
-      throw error;
+    };
+
+    const results = await Promise.allSettled(pages.map(worker));
+    const failure = results.find((result) => result.status === "rejected");
+    if (failure) throw failure.reason;
+
+    // Retries in a resumed run replace placeholder rows the checkpoint
+    // already held, so its rows are the ones to export. Workers finish out of
+    // order; export in input order.
+    const reservations = sortByInput(
+      checkpoint ? checkpointRows() : allReservations,
+      sheetData
+    );
+
+    // Multi-account runs export once after the last account
+    if (options.skipExport) {
+      if (browser) await closeBrowser(browser).catch(() => {});
+      return {
+        outputFile: null,
+        totalReservations: reservations.length,
+        skippedReservations: skipped.length,
+        skipped,
+        timings: pacer.timings(),
+      };
     }
 
-    // Wait for verification code page using the correct selector
-    logger.info("Waiting for verification page...");
-    await page.waitForSelector('input[name="passcode-input"]', {
-      visible: true,
-      timeout: 60000,
+    const outputFile = exportReservations(reservations, {
+      passthrough,
+      output: options.output,
     });
 
-    // Add delay before fetching verification code
-    logger.info("Waiting for verification email...");
-    await delay(15000); // Wait 15 seconds for email to arrive
+    // The scrape is done; a finished run has no use for the browser
+    if (browser) await closeBrowser(browser).catch(() => {});
+
+    const status = finishCheckpoint(checkpoint, outputFile);
+    // A shared pacer is reported by whoever created it
+    if (!options.pacer) reportTimings(pacer, job);
+    return {
+      outputFile,
+      status,
+      totalReservations: reservations.length,
+      skippedReservations: skipped.length,
+      skipped,
+      timings: pacer.timings(),
+    };
+  } catch (error) {
+    logger.error(`Error finding/clicking property: ${error.message}`);
+    if (!options.pacer) reportTimings(pacer, job);
+    await artifacts.capture(page, error, { step: "login" });
+    checkpoint?.markInterrupted(error.message);
+    if (browser) await closeBrowser(browser).catch(() => {});
+    throw error;
+  }
+}
 
-    // Get verification code
-    const code = await getVerificationCode();
-    if (!code) {
-      throw new Error("Failed to get verification code from email");
+// Write scraped rows to a timestamped workbook and return its path (null when empty).
+// Adds an "Account" column whenever rows record the credential profile they came from.
+// Dialog details are extra columns; their nightly rates go on a "Nightly rates"
+// sheet with one line per night, and card transactions on a "Card activity" sheet.
+function exportReservations(allReservations, { passthrough = [], output } = {}) {
+  const withAccount = allReservations.some((res) => res.account);
+  // Whether the card activity page's balance agrees with its transactions
+  const balanceCheck = (activity) => {
+    if (activity?.balanceMatches == null) return "N/A";
+    return activity.balanceMatches ? "OK" : "Mismatch";
+  };
+  let outputFile = null;
+  if (allReservations.length > 0) {
+    // Get current date and time for filename
+    const now = new Date();
+    const timestamp = now.toISOString().replace(/[:.]/g, "-");
+
+    // Save all reservations to Excel with timestamp
+    const workbook = xlsx.utils.book_new();
+    const wsData = [
+      [
+        ...(withAccount ? ["Account"] : []),
+        "Property ID",
+        "Property Name",
+        "Guest Name",
+        "Reservation ID",
+        "Confirmation Code",
+        "Check-in Date",
+        "Check-out Date",
+        "Room Type",
+        "Booking Amount",
+        "Booked Date",
+        "Card Number",
+        "Expiry Date",
+        "CVV",
+        "Has Card Info",
+        "Has Payment Info",
+        "Total Guest Payment",
+        "Cancellation Fee",
+        "Expedia Compensation",
+        "Total Payout",
+        "Details",
+        "Status",
+        "Amount to charge/refund",
+        "Guest Email",
+        "Guest Phone",
+        "Adults",
+        "Children",
+        "Rate Plan",
+        "Taxes",
+        "Special Requests",
+        "Cancellation Policy",
+        "Booking Source",
+        "Calculated Balance",
+        "Balance Check",
+        ...passthrough,
+      ],
+      ...allReservations.map((res) => [
+        ...(withAccount ? [res.account || "N/A"] : []),
+        res.propertyId || "N/A",
+        res.propertyName || "N/A",
+        res.guestName,
+        res.reservationId,
+        res.confirmationCode,
+        res.checkInDate,
+        res.checkOutDate,
+        res.roomType,
+        res.bookingAmount,
+        res.bookedDate,
+        res.cardNumber || "N/A",
+        res.expiryDate || "N/A",
+        res.cvv || "N/A",
+        res.hasCardInfo ? "Yes" : "No",
+        res.hasPaymentInfo ? "Yes" : "No",
+        res.totalGuestPayment || "N/A",
+        res.cancellationFee || "N/A",
+        res.expediaCompensation || "N/A",
+        res.totalPayout || "N/A",
+        res.amountToChargeOrRefund || "N/A",
+        res.status || "Active",
+        res.amount || "N/A",
+        res.details?.guestEmail || "N/A",
+        res.details?.guestPhone || "N/A",
+        res.details?.adults ?? "N/A",
+        res.details?.children ?? "N/A",
+        res.details?.ratePlan || "N/A",
+        res.details?.taxes || "N/A",
+        res.details?.specialRequests || "N/A",
+        res.details?.cancellationPolicy || "N/A",
+        res.details?.bookingSource || "N/A",
+        res.cardActivity?.calculatedBalance?.toFixed(2) ?? "N/A",
+        balanceCheck(res.cardActivity),
+        ...passthrough.map((header) => res.passthrough?.[header] ?? ""),
+      ]),
+    ];
+
+    const ws = xlsx.utils.aoa_to_sheet(wsData);
+    xlsx.utils.book_append_sheet(workbook, ws, "Reservations");
+
+    const nightlyRates = allReservations.flatMap((res) =>
+      (res.details?.nightlyRates || []).map((line) => [
+        ...(withAccount ? [res.account || "N/A"] : []),
+        res.propertyId || "N/A",
+        res.reservationId,
+        res.guestName,
+        line.date,
+        line.amount,
+      ])
+    );
+    if (nightlyRates.length > 0) {
+      const ratesSheet = xlsx.utils.aoa_to_sheet([
+        [
+          ...(withAccount ? ["Account"] : []),
+          "Property ID",
+          "Reservation ID",
+          "Guest Name",
+          "Night",
+          "Rate",
+        ],
+        ...nightlyRates,
+      ]);
+      xlsx.utils.book_append_sheet(workbook, ratesSheet, "Nightly rates");
     }
-    logger.info("Got verification code:", code);
 
-    // Enter verification code using the correct selector
-    await page.type('input[name="passcode-input"]', code, { delay: 100 });
-    await delay(randomDelay());
-
-    // await verifyButton.click()
-    const verifyButtonHandle = await page.$(
-      'button[data-testid="passcode-submit-button"]'
+    const transactions = allReservations.flatMap((res) =>
+      (res.cardActivity?.transactions || []).map((transaction) => [
+        ...(withAccount ? [res.account || "N/A"] : []),
+        res.propertyId || "N/A",
+        res.reservationId,
+        res.guestName,
+        transaction.date,
+        transaction.type,
+        transaction.description,
+        transaction.amount,
+        transaction.status,
+      ])
     );
-
-    if (!verifyButtonHandle) {
-      throw new Error("Verify button not found");
+    if (transactions.length > 0) {
+      const activitySheet = xlsx.utils.aoa_to_sheet([
+        [
+          ...(withAccount ? ["Account"] : []),
+          "Property ID",
+          "Reservation ID",
+          "Guest Name",
+          "Date",
+          "Type",
+          "Description",
+          "Amount",
+          "Status",
+        ],
+        ...transactions,
+      ]);
+      xlsx.utils.book_append_sheet(workbook, activitySheet, "Card activity");
     }
-
-    // Check if the button is disabled
-    const isDisabled = await page.evaluate(
-      (button) => button.disabled,
-      verifyButtonHandle
+    const { directory, filePrefix } = output || {};
+    if (directory) fs.mkdirSync(directory, { recursive: true });
+    outputFile = path.join(
+      directory || "",
+      `${filePrefix || "reservations"}_${timestamp}.xlsx`
     );
-
-    if (isDisabled) {
-      throw new Error("Verify button is disabled");
+    xlsx.writeFile(workbook, outputFile);
+    logger.info(`Saved reservation data to ${outputFile}`);
+
+    // Log summary of processed reservations
+    logger.info(`Total reservations exported: ${allReservations.length}`);
+    const processedDates = new Set(allReservations.map((r) => r.checkInDate));
+    if (processedDates.size === 0) {
+      logger.warn(
+        "Warning: No dates were successfully processed in this export"
+      );
     }
+  }
 
-    // Click the button
-    await verifyButtonHandle.click();
-    logger.info("Clicked the verify button successfully!");
+  return outputFile;
+}
 
-    // Wait for successful login
-    await page.waitForNavigation({
-      waitUntil: "networkidle0",
-      timeout: 60000,
-    });
+// Open a property's reservations page: straight from its cached URL when one
+// was learned (property-urls.js), else through the home page search and the
+// property's menu, learning the URL for next time. A cached URL that no
+// longer leads to the property's reservations is dropped and relearned.
+async function openReservationsPage(page, propertyName) {
+  const cached = getPropertyUrl(propertyName, new URL(PARTNER_CENTRAL_HOME).origin);
+  if (cached) {
+    try {
+      await openCachedReservationsPage(page, cached);
+      logger.info(`Opened reservations of property ${propertyName} from its cached URL`);
+      return;
+    } catch (error) {
+      assertSignedIn(page);
+      logger.warn(
+        `Cached reservations URL of property ${propertyName} stopped working (${error.message}); finding it again`
+      );
+      forgetPropertyUrl(propertyName);
+    }
+  }
 
-    logger.info("Login successful!");
+  await searchReservationsPage(page, propertyName);
 
-    const sheetData = getDataFromSheet();
-    const allReservations = [];
+  const learned = savePropertyUrl(propertyName, {
+    url: page.url(),
+    propertyName: await page.evaluate(extractPropertyName, getRegistry()["nav.propertyName"]),
+  });
+  logger.info(`Cached reservations URL of property ${propertyName} (${learned.propertyName})`);
+}
 
-    for (const item of sheetData) {
-      const propertyName = item.id;
+// Go to a cached reservations URL and check it shows that property's reservations
+async function openCachedReservationsPage(page, cached) {
+  await page.goto(cached.url, { waitUntil: "networkidle0", timeout: 60000 });
+  await waitForEntry(page, "reservations.dateTypeFilter", {
+    visible: true,
+    timeout: 30000,
+  });
 
-      if (propertyName) {
-        // Wait for property table to load
-        await page.waitForSelector(".fds-data-table-wrapper", {
-          visible: true,
-          timeout: 30000,
-        });
+  const shownName = await page.evaluate(
+    extractPropertyName,
+    getRegistry()["nav.propertyName"]
+  );
+  if (cached.propertyName && shownName && shownName !== cached.propertyName) {
+    throw new Error(`it shows property "${shownName}"`);
+  }
+}
 
-        // Wait for property search input
-        await page.waitForSelector(
-          ".all-properties__search input.fds-field-input"
-        );
+// Search for a property on the home page and open its reservations page
+// through the property's menu
+async function searchReservationsPage(page, propertyName) {
+  const pacer = pacerFor(page);
+  if (page.url() !== PARTNER_CENTRAL_HOME) {
+    await page.goto(PARTNER_CENTRAL_HOME, { waitUntil: "networkidle0" });
+  }
 
-        // Get property ID from query params
-        logger.info(`Searching for property ID: ${propertyName}`);
+  // Wait for property table to load
+  await waitForEntry(page, "home.propertyTable", {
+    visible: true,
+    timeout: 30000,
+  });
 
-        // Type property ID in search
-        await page.type(
-          ".all-properties__search input.fds-field-input",
-          String(propertyName),
-          { delay: 500 }
-        );
+  // Wait for property search input
+  await waitForEntry(page, "home.propertySearch");
 
-        // Wait for search results
-        await delay(2000);
+  // Get property ID from query params
+  logger.info(`Searching for property ID: ${propertyName}`);
 
-        // Find and click the property link with more specific selector
-        try {
-          // Wait for search results to update
-          await page.waitForSelector("tbody tr", {
-            visible: true,
-            timeout: 10000,
-          });
+  // Type property ID in search
+  await pacer.type(page, await resolveCss(page, "home.propertySearch"), String(propertyName));
 
-          // Find and click the property link
-          const clicked = await page.evaluate((searchId) => {
-            const rows = Array.from(document.querySelectorAll('tbody tr'));
-            for (const row of rows) {
-              const idElement = row.querySelector('.property-cell__property-id span');
-              if (idElement && idElement.textContent.includes(searchId)) {
-                const link = row.querySelector('.property-cell__property-name a');
-                if (link) {
-                  link.click();
-                  return true;
-                }
-              }
-            }
-            return false;
-          }, String(propertyName));
-
-          if (clicked) {
-            logger.info(`Found and clicked property with ID: ${propertyName}`);
-            
-            // Wait for navigation
-            await Promise.all([
-              page.waitForNavigation({
-                waitUntil: "networkidle0",
-                timeout: 30000,
-              }),
-              delay(8000),
-            ]);
-
-            logger.info("Successfully navigated to property page");
-          } else {
-            throw new Error(`Could not find property with ID: ${propertyName}`);
+  // Find and click the property link with more specific selector
+  try {
+    // Wait for the search to narrow the table to the property
+    await waitForPropertyRow(page, propertyName);
+
+    // Find and click the property link
+    const clicked = await page.evaluate((searchId) => {
+      const rows = __select.all("home.propertyRow");
+      for (const row of rows) {
+        const idElement = __select.one("home.propertyId", row);
+        if (idElement && idElement.textContent.includes(searchId)) {
+          const link = __select.one("home.propertyLink", row);
+          if (link) {
+            link.click();
+            return true;
           }
-        } catch (error) {
-          logger.error(`Error finding/clicking property: ${error.message}`);
-          throw error;
         }
       }
+      return false;
+    }, String(propertyName));
+
+    if (clicked) {
+      logger.info(`Found and clicked property with ID: ${propertyName}`);
+      
+      // Wait for navigation
+      await page.waitForNavigation({
+        waitUntil: "networkidle0",
+        timeout: 30000,
+      });
 
-      logger.info("Looking for Reservations link...");
+      logger.info("Successfully navigated to property page");
+    } else {
+      throw new Error(`Could not find property with ID: ${propertyName}`);
+    }
+  } catch (error) {
+    logger.error(`Error finding/clicking property: ${error.message}`);
+    throw error;
+  }
 
-      try {
-        // Wait for the drawer content to load
-        await page.waitForSelector(".uitk-drawer-content", {
-          visible: true,
-          timeout: 30000,
-        });
+  logger.info("Looking for Reservations link...");
 
-        // Click using JavaScript with the exact structure
-        const clicked = await page.evaluate(() => {
-          const reservationsItem = Array.from(
-            document.querySelectorAll(".uitk-action-list-item-content")
-          ).find((item) => {
-            const textDiv = item.querySelector(".uitk-text.overflow-wrap");
-            return textDiv && textDiv.textContent.trim() === "Reservations";
-          });
+  // Wait for the drawer content to load
+  await waitForEntry(page, "nav.drawer", {
+    visible: true,
+    timeout: 30000,
+  });
 
-          if (reservationsItem) {
-            const link = reservationsItem.querySelector(
-              "a.uitk-action-list-item-link"
-            );
-            if (link) {
-              link.click();
-              return true;
-            }
-          }
-          return false;
-        });
+  // Click using JavaScript with the exact structure
+  const clicked = await page.evaluate(() => {
+    const reservationsItem = __select.all("nav.drawerItem").find((item) => {
+      const textDiv = __select.one("nav.drawerItemLabel", item);
+      return textDiv && textDiv.textContent.trim() === "Reservations";
+    });
 
-        if (!clicked) {
-          throw new Error("Could not find or click Reservations link");
-        }
+    if (reservationsItem) {
+      const link = __select.one("nav.drawerItemLink", reservationsItem);
+      if (link) {
+        link.click();
+        return true;
+      }
+    }
+    return false;
+  });
 
-        // Wait for navigation to complete
-        await Promise.all([
-          page.waitForNavigation({
-            waitUntil: "networkidle0",
-            timeout: 80000,
-          }),
-          delay(8000),
-        ]);
-
-        logger.info("Successfully navigated to Reservations page");
-
-        // Wait for date filters to be visible
-        logger.info("Waiting for date filters...");
-        await page.waitForSelector(
-          'input[type="radio"][name="dateTypeFilter"]',
-          {
-            visible: true,
-            timeout: 80000,
-          }
-        );
+  if (!clicked) {
+    throw new Error("Could not find or click Reservations link");
+  }
 
-        // Get the current URL
-        const currentUrl = page.url();
-        console.log(`Current tab URL: ${currentUrl}`);
+  // Wait for navigation to complete
+  await page.waitForNavigation({
+    waitUntil: "networkidle0",
+    timeout: 80000,
+  });
 
-        for (const chunk of item.idList) {
-          logger.info(`Processing id: ${chunk}`);
+  logger.info("Successfully navigated to Reservations page");
 
-          const chunkReservations = await processReservationsPage(page, chunk, propertyName, propertyName, browser);
-          allReservations.push(...chunkReservations);
-        }
+  // Wait for date filters to be visible
+  logger.info("Waiting for date filters...");
+  await waitForEntry(page, "reservations.dateTypeFilter", {
+    visible: true,
+    timeout: 80000,
+  });
+}
 
-        logger.info(
-          `Found total ${allReservations.length} reservations across all chunks`
-        );
-        await delay(5000);
-        try {
-          // Wait for the header to be visible
-          await page.waitForSelector("header.tpg-navigation__header", {
-            visible: true,
-            timeout: 5000,
-          });
+// Scrape every reservation of one property on `page`; the page can start
+// anywhere inside Partner Central (see openReservationsPage)
+async function processProperty(page, item, browser, options = {}) {
+  const { job, checkpoint } = options;
+  const pacer = pacerFor(page);
+  const propertyName = item.id;
+  const propertyRows = [];
+
+  // Crashed after its last reservation but before it was marked complete
+  if (
+    checkpoint &&
+    item.idList.every((id) => checkpoint.isReservationDone(propertyName, id)) &&
+    checkpoint.failedRows(propertyName).length === 0
+  ) {
+    checkpoint.completeProperty(propertyName);
+    job?.update({ propertiesDone: job.progress.propertiesDone + 1 });
+    return propertyRows;
+  }
 
-          // Try multiple approaches to click the logo
-          const clicked = await page.evaluate(() => {
-            // Try finding the logo link
-            const logoLink = document.querySelector('header.tpg-navigation__header a.tpg-navigation__logo_container');
-            if (logoLink) {
-              logoLink.click();
-              return true;
-            }
-            return false;
-          });
+  // Skipped from the dashboard before its turn came up
+  if (job?.consumeSkip(propertyName)) {
+    logger.info(`Skipping property ${propertyName} on request`);
+    job.update({
+      skippedProperties: [...(job.progress.skippedProperties || []), propertyName],
+    });
+    job.emit("property-finished", { propertyId: propertyName, skipped: true, rows: 0 });
+    return propertyRows;
+  }
 
-          if (!clicked) {
-            // If direct click failed, try using the href
-            const href = await page.evaluate(() => {
-              const logoLink = document.querySelector('header.tpg-navigation__header a.tpg-navigation__logo_container');
-              return logoLink ? logoLink.href : null;
-            });
+  job?.update({
+    currentProperty: propertyName,
+    activeProperties: [...(job.progress.activeProperties || []), propertyName],
+  });
+  job?.emit("property-started", {
+    propertyId: propertyName,
+    reservations: item.idList.length,
+  });
+  let skipped = false;
+
+  // Capture mode listens from before the reservations page loads its data
+  const capture = options.capture === "network" ? createResponseCapture(page) : null;
+
+  // Rows of one work-list entry tagged for the export, plus the reservations
+  // that failed inside its search. Date-range entries stand in for
+  // reservation IDs (see inputs.js); `reservationId` searches for one
+  // reservation of the entry instead.
+  const scrapeChunk = async (chunk, reservationId = null) => {
+    const scrape = { capture, artifacts: options.artifacts, failedRows: [] };
+    const dateRange = reservationId ? null : item.dateRanges?.[chunk];
+    const found = dateRange
+      ? await scrapeDateRange(page, dateRange, propertyName, propertyName, browser, scrape)
+      : await processReservationsPage(
+          page,
+          reservationId || chunk,
+          propertyName,
+          propertyName,
+          browser,
+          scrape
+        );
+    return { rows: found.map((res) => tagRow(res, chunk)), failedRows: scrape.failedRows };
+  };
+
+  const tagRow = (res, chunk) => ({
+    ...res,
+    ...(options.account ? { account: options.account } : {}),
+    inputReservationId: String(chunk),
+    passthrough: item.extras?.[chunk] || {},
+  });
 
-            if (href) {
-              await page.goto(href, { waitUntil: 'networkidle0' });
-            } else {
-              throw new Error('Could not find navigation logo link');
-            }
-          }
+  const recordChunk = (chunk, rows) => {
+    propertyRows.push(...rows);
+    checkpoint?.recordReservation(propertyName, chunk, rows);
+    job?.update({
+      reservationsProcessed: job.progress.reservationsProcessed + 1,
+      reservationsScraped: job.progress.reservationsScraped + rows.length,
+    });
+    job?.emit("reservation-scraped", {
+      propertyId: propertyName,
+      reservationId: String(chunk),
+      rows: rows.length,
+    });
+  };
 
-          await delay(2000); // Wait for navigation
-        } catch (error) {
-          logger.warn("Could not click navigation logo:", error.message);
-          // Try alternative navigation
-          try {
-            await page.goto('https://apps.expediapartnercentral.com/', { waitUntil: 'networkidle0' });
-            await delay(2000);
-          } catch (navError) {
-            logger.error("Failed to navigate to home page:", navError.message);
-          }
-        }
+  // Sign in again when the page lost its session
+  const ensureSignedIn = async () => {
+    if (!isSignedOut(page)) return;
+    if (!options.reauthenticate) {
+      throw stepError("sessionExpired", "Partner Central session expired");
+    }
+    logger.info(`Session expired while on property ${propertyName}, signing in again`);
+    await options.reauthenticate(page);
+    await openReservationsPage(page, propertyName);
+  };
+
+  try {
+    await withRetry(
+      `Opening reservations of property ${propertyName}`,
+      () => pacer.time("open-property", () => openReservationsPage(page, propertyName)),
+      { classify: failureKindOn(page) }
+    );
+
+    // Get the current URL
+    const currentUrl = page.url();
+    console.log(`Current tab URL: ${currentUrl}`);
+
+    // Searches and reservations that failed get another go once the rest of
+    // the property is done: { chunk, reservationId?, basicData?, error }.
+    // A resumed run starts with the reservations that failed inside entries
+    // it already recorded.
+    const retryQueue = (checkpoint?.failedRows(propertyName) || []).map((entry) => ({
+      chunk: entry.chunk,
+      reservationId: entry.reservationId,
+      basicData: entry.basicData,
+      error: null,
+    }));
+
+    for (const chunk of item.idList) {
+      await job?.waitIfPaused();
+      if (job?.consumeSkip(propertyName)) {
+        logger.info(`Skipping rest of property ${propertyName} on request`);
+        skipped = true;
+        break;
+      }
+      if (checkpoint?.isReservationDone(propertyName, chunk)) {
+        logger.info(`Skipping id already in checkpoint: ${chunk}`);
+        continue;
+      }
+      logger.info(`Processing id: ${chunk}`);
 
-        // Add 5 second delay before processing next property
-        logger.info("Waiting 5 seconds before processing next property...");
-        await delay(5000);
+      let result;
+      try {
+        await ensureSignedIn();
+        result = await scrapeChunk(chunk);
       } catch (error) {
-        logger.error("Error finding/clicking Reservations:", error.message);
-        throw error;
+        // Left out of the checkpoint so a resume retries it
+        job?.recordError(error.message, {
+          propertyId: propertyName,
+          reservationId: String(chunk),
+        });
+        checkpoint?.recordFailure(propertyName, chunk, error.message);
+        retryQueue.push({ chunk, error });
+        continue;
+      }
+
+      recordChunk(chunk, result.rows);
+      // Kept as failures until retried so a resume doesn't lose them
+      for (const { basicData, error } of result.failedRows) {
+        checkpoint?.recordFailure(propertyName, basicData.reservationId, error.message, {
+          chunk,
+          basicData,
+        });
+        retryQueue.push({ chunk, reservationId: basicData.reservationId, basicData, error });
       }
     }
 
-    // Export all data to Excel after processing all properties
-    if (allReservations.length > 0) {
-      // Get current date and time for filename
-      const now = new Date();
-      const timestamp = now.toISOString().replace(/[:.]/g, "-");
+    if (!skipped && retryQueue.length > 0) {
+      logger.info(`Retrying ${retryQueue.length} failed entries of property ${propertyName}`);
+    }
+    for (const entry of skipped ? [] : retryQueue) {
+      await job?.waitIfPaused();
+      const reservationId = String(entry.reservationId || entry.chunk);
+      try {
+        await ensureSignedIn();
+        const { rows, failedRows } = await scrapeChunk(entry.chunk, entry.reservationId);
+        if (failedRows.length > 0) throw failedRows[0].error;
 
-      // Save all reservations to Excel with timestamp
-      const workbook = xlsx.utils.book_new();
-      const wsData = [
-        [
-          "Property ID",
-          "Property Name",
-          "Guest Name",
-          "Reservation ID",
-          "Confirmation Code",
-          "Check-in Date",
-          "Check-out Date",
-          "Room Type",
-          "Booking Amount",
-          "Booked Date",
-          "Card Number",
-          "Expiry Date",
-          "CVV",
-          "Has Card Info",
-          "Has Payment Info",
-          "Total Guest Payment",
-          "Cancellation Fee",
-          "Expedia Compensation",
-          "Total Payout",
-          "Details",
-          "Status",
-          "Amount to charge/refund",
-        ],
-        ...allReservations.map((res) => [
-          res.propertyId || "N/A",
-          res.propertyName || "N/A",
-          res.guestName,
-          res.reservationId,
-          res.confirmationCode,
-          res.checkInDate,
-          res.checkOutDate,
-          res.roomType,
-          res.bookingAmount,
-          res.bookedDate,
-          res.cardNumber || "N/A",
-          res.expiryDate || "N/A",
-          res.cvv || "N/A",
-          res.hasCardInfo ? "Yes" : "No",
-          res.hasPaymentInfo ? "Yes" : "No",
-          res.totalGuestPayment || "N/A",
-          res.cancellationFee || "N/A",
-          res.expediaCompensation || "N/A",
-          res.totalPayout || "N/A",
-          res.amountToChargeOrRefund || "N/A",
-          res.status || "Active",
-          res.amount || "N/A",
-        ]),
-      ];
-
-      const ws = xlsx.utils.aoa_to_sheet(wsData);
-      xlsx.utils.book_append_sheet(workbook, ws, "Reservations");
-      xlsx.writeFile(workbook, `reservations_${timestamp}.xlsx`);
-      logger.info(`Saved reservation data to reservations_${timestamp}.xlsx`);
-
-      // Log summary of processed reservations
-      logger.info(`Total reservations exported: ${allReservations.length}`);
-      const processedDates = new Set(allReservations.map((r) => r.checkInDate));
-      if (processedDates.size === 0) {
-        logger.warn(
-          "Warning: No dates were successfully processed in this export"
-        );
+        if (!entry.reservationId) {
+          recordChunk(entry.chunk, rows);
+          continue;
+        }
+        // An ID search can also match other reservations
+        const matched = rows.filter((row) => row.reservationId === reservationId);
+        if (matched.length === 0) {
+          throw stepError("selectorMissing", `Reservation ${reservationId} not found when retried`);
+        }
+        propertyRows.push(...matched);
+        checkpoint?.resolveFailure(propertyName, reservationId, matched);
+      } catch (error) {
+        const kind = error.kind || classifyError(error);
+        logger.warn(`Giving up on reservation ${reservationId} (${kind}): ${error.message}`);
+        const skip = {
+          propertyId: propertyName,
+          reservationId,
+          kind,
+          attempts: (error.attempts || 1) + (entry.error?.attempts || 1),
+          message: error.message,
+        };
+        options.skipped?.push(skip);
+        job?.recordSkip(skip);
+
+        // Failures stay in the checkpoint so a resume retries them. A search
+        // that failed has nothing to export.
+        if (!entry.reservationId) continue;
+
+        // Keep what the table showed for a reservation found in a search
+        const rows = entry.basicData
+          ? [
+              tagRow(
+                {
+                  ...entry.basicData,
+                  propertyId: propertyName,
+                  cardNumber: "N/A",
+                  expiryDate: "N/A",
+                  cvv: "N/A",
+                  remainingAmountToCharge: "N/A",
+                  amountToRefund: "N/A",
+                  amountToChargeOrRefund: "N/A",
+                },
+                entry.chunk
+              ),
+            ]
+          : [];
+        propertyRows.push(...rows);
+        checkpoint?.recordPlaceholder(propertyName, reservationId, rows);
       }
     }
+
+    logger.info(
+      `Found total ${propertyRows.length} reservations across all chunks`
+    );
+    // A skipped property stays open in the checkpoint so a resume can finish it
+    if (!skipped) checkpoint?.completeProperty(propertyName);
+    job?.update({
+      propertiesDone: job.progress.propertiesDone + 1,
+      activeProperties: (job.progress.activeProperties || []).filter(
+        (id) => id !== propertyName
+      ),
+      ...(skipped
+        ? {
+            skippedProperties: [
+              ...(job.progress.skippedProperties || []),
+              propertyName,
+            ],
+          }
+        : {}),
+    });
+    job?.emit("property-finished", {
+      propertyId: propertyName,
+      skipped,
+      rows: propertyRows.length,
+    });
+
+    // Pause like a person would before the next property
+    await pacer.think();
+
+    return propertyRows;
   } catch (error) {
-    logger.error(`Error finding/clicking property: ${error.message}`);
-    if (browser) await browser.close();
+    logger.error("Error finding/clicking Reservations:", error.message);
     throw error;
+  } finally {
+    capture?.stop();
   }
 }
 
 // New function to process reservations on a single page
-async function processReservationsPage(page, id, propertyId, propertyName, browser) {
+// Throws when the search or paging fails so the caller can retry the ID later
+async function processReservationsPage(page, id, propertyId, propertyName, browser, scrape = {}) {
+  const pacer = pacerFor(page);
   try {
+    // Wait for the page to be fully loaded
+    await waitForEntry(page, "reservations.layout", {
+      visible: true,
+      timeout: 30000,
+    });
+
+    // Find the search input through its fallback selectors
+    let searchInput = null;
     try {
-      // Wait for the page to be fully loaded
-      await page.waitForSelector(".fds-layout", {
+      await waitForEntry(page, "reservations.search", {
         visible: true,
-        timeout: 30000,
+        timeout: 20000,
       });
+      searchInput = await findEntry(page, "reservations.search");
+    } catch (e) {
+      searchInput = null;
+    }
 
-      // Try to find the search input using multiple possible selectors
-      const searchInputSelectors = [
-        'input[name="searchInput"]',
-        "input.fds-field-input",
-        'input[type="text"]',
-        ".fds-field-input",
-      ];
+    if (!searchInput) {
+      throw new Error("Could not find search input field");
+    }
 
-      let searchInput = null;
-      for (const selector of searchInputSelectors) {
-        try {
-          searchInput = await page.waitForSelector(selector, {
-            visible: true,
-            timeout: 5000,
-          });
-          if (searchInput) break;
-        } catch (e) {
-          continue;
-        }
-      }
+    // Dates left from a date-range search would narrow the ID search too
+    await setDateField(page, "reservations.startDate", "");
+    await setDateField(page, "reservations.endDate", "");
 
-      if (!searchInput) {
-        throw new Error("Could not find search input field");
+    // Click the input field first
+    await searchInput.click();
+    await pacer.think();
+
+    // Clear any existing value
+    await page.evaluate((input) => {
+      input.value = "";
+    }, searchInput);
+
+    // Type the ID into the search input
+    await pacer.type(page, searchInput, String(id));
+
+    // Wait for the save button to be visible and clickable
+    await waitForEntry(page, "reservations.searchSubmit", {
+      visible: true,
+      timeout: 10000,
+    });
+
+    // Click the save button and wait for the results to change and settle
+    const before = await resultsSnapshot(page);
+    await page.click(await resolveCss(page, "reservations.searchSubmit"));
+    await pacer.time("search", () => waitForResults(page, before, { settleMs: pacer.settleMs }));
+    assertSignedIn(page);
+
+    return await scrapeResultPages(page, propertyId, propertyName, browser, scrape);
+  } catch (error) {
+    logger.error(`Error processing tab: ${error.message}`);
+    await scrape.artifacts?.capture(page, error, {
+      propertyId,
+      reservationId: id,
+      step: "search",
+    });
+    throw error;
+  }
+}
+
+// Search the reservations page for a date range (date-ranges.js) and scrape
+// every result. A search over Partner Central's 500-result cap shows the
+// "tooManyResults" banner; it's then split in half and each half searched on
+// its own, down to single days.
+async function scrapeDateRange(page, range, propertyId, propertyName, browser, scrape = {}) {
+  await applyDateRange(page, range);
+
+  const truncated = await page.evaluate(
+    () => !!__select.one("reservations.tooManyResults")
+  );
+  if (truncated) {
+    const halves = splitDateRange(range);
+    if (halves) {
+      logger.info(
+        `${rangeKey(range)} is over the result cap, splitting into ${halves
+          .map(rangeKey)
+          .join(" and ")}`
+      );
+      const rows = [];
+      for (const half of halves) {
+        rows.push(
+          ...(await scrapeDateRange(page, half, propertyId, propertyName, browser, scrape))
+        );
       }
+      return rows;
+    }
+    logger.warn(
+      `${rangeKey(range)} is over the result cap for a single day; only the first results are scraped`
+    );
+  }
 
-      // Click the input field first
-      await searchInput.click();
-      await delay(1000);
-
-      // Clear any existing value
-      await page.evaluate(() => {
-        const input =
-          document.querySelector('input[name="searchInput"]') ||
-          document.querySelector("input.fds-field-input") ||
-          document.querySelector('input[type="text"]');
-        if (input) input.value = "";
-      });
+  logger.info(`Scraping ${rangeKey(range)} (${rangeDays(range)} days)`);
+  return scrapeResultPages(page, propertyId, propertyName, browser, scrape);
+}
 
-      // Type the ID into the search input - convert id to string and type it directly
-      const idString = String(id);
-      await page.type('input[name="searchInput"]', idString, { delay: 150 });
+// Set a date filter field through the native setter with input/change events
+// so framework-bound fields pick the value up; date inputs take ISO dates,
+// text fields US dates, and "" clears either. False when there's no field.
+const setDateField = (page, name, isoDate) =>
+  page.evaluate(
+    (entryName, value) => {
+      const input = __select.one(entryName);
+      if (!input) return false;
+      const [year, month, day] = value.split("-");
+      const setValue = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, "value").set;
+      setValue.call(input, !value || input.type === "date" ? value : `${month}/${day}/${year}`);
+      input.dispatchEvent(new Event("input", { bubbles: true }));
+      input.dispatchEvent(new Event("change", { bubbles: true }));
+      return true;
+    },
+    name,
+    isoDate
+  );
+
+// Pick the date type, fill in the range and run the search with no search term
+async function applyDateRange(page, { from, to, dateType }) {
+  await waitForEntry(page, "reservations.layout", {
+    visible: true,
+    timeout: 30000,
+  });
 
-      // Wait for the save button to be visible and clickable
-      await page.waitForSelector("#save-button", {
-        visible: true,
-        timeout: 10000,
-      });
+  const selected = await page.evaluate((type) => {
+    const labels = {
+      checkIn: /check.?in/i,
+      checkOut: /check.?out/i,
+      booked: /book/i,
+    };
+    const radio = __select.all("reservations.dateTypeFilter").find((input) => {
+      const label = input.closest("label") || input.labels?.[0];
+      return input.value === type || (label && labels[type].test(label.textContent));
+    });
+    if (!radio) return false;
+    radio.click();
+    return true;
+  }, dateType);
+  if (!selected) throw new Error(`No "${dateType}" date type option on the reservations page`);
+
+  const filled =
+    (await setDateField(page, "reservations.startDate", from)) &&
+    (await setDateField(page, "reservations.endDate", to));
+  if (!filled) {
+    throw new Error("Could not find the date range fields on the reservations page");
+  }
 
-      // Click the save button
-      await page.click("#save-button");
+  // A leftover search term would narrow the range search
+  const searchInput = await findEntry(page, "reservations.search");
+  if (searchInput) {
+    await page.evaluate((input) => {
+      input.value = "";
+      input.dispatchEvent(new Event("input", { bubbles: true }));
+    }, searchInput);
+  }
 
-      // Wait for the search to complete
-      await delay(2000);
+  await waitForEntry(page, "reservations.searchSubmit", {
+    visible: true,
+    timeout: 10000,
+  });
+  const pacer = pacerFor(page);
+  const before = await resultsSnapshot(page);
+  await page.click(await resolveCss(page, "reservations.searchSubmit"));
+  await pacer.time("search", () => waitForResults(page, before, { settleMs: pacer.settleMs }));
+  assertSignedIn(page);
+}
 
-      // Final verification
-      const finalCount = await page.evaluate(() => {
-        return document.querySelectorAll("td.guestName button.guestNameLink")
-          .length;
-      });
+// Remaining balance for a summarizeCardActivity() result: the page's figure,
+// else the one calculated from the transactions. Logs when they disagree.
+function cardBalance(cardActivity, reservationId) {
+  const balance =
+    cardActivity.balance !== "N/A" || cardActivity.calculatedBalance === null
+      ? cardActivity.balance
+      : cardActivity.calculatedBalance.toFixed(2);
+
+  logger.info(
+    `Scraped remaining balance: ${balance} (${cardActivity.transactions.length} transactions)`
+  );
+  if (cardActivity.balanceMatches === false) {
+    logger.warn(
+      `Card balance ${cardActivity.balance} for reservation ${reservationId} doesn't match its transactions (${cardActivity.calculatedBalance.toFixed(2)})`
+    );
+  }
+  return balance;
+}
 
-      logger.info(`Final reservation count: ${finalCount}`);
+// Capture mode: the row is built from the captured payloads. The details are
+// requested directly once the page has shown where it loads them from; until
+// then the guest dialog is opened to make the page load them.
+// Returns null when a payload is missing so the caller reads the dialog instead.
+async function reservationFromCapture(page, row, basicData, capture, propertyId, propertyName) {
+  const id = basicData.reservationId;
+  let detail = capture.detail(id) || (await capture.fetchDetail(id));
 
-      if (finalCount === 0) {
-        logger.info("No reservations found after multiple attempts");
-        return [];
-      }
+  if (!detail) {
+    const guestNameButton = await findEntry(page, "row.guestLink", row);
+    await guestNameButton.click();
+    detail = await capture.waitForDetail(id, 8000);
 
-      // After date range is applied and before scraping data
-      // logger.info('Setting results per page to 100...')
-      // await page.waitForSelector('.fds-pagination-selector select')
-      // await page.click('.fds-pagination-selector select')
-      // await page.select('.fds-pagination-selector select', '100')
+    try {
+      await waitForEntry(page, "dialog.root", { visible: true, timeout: 5000 });
+      await page.click(await resolveCss(page, "dialog.close"));
+      await page.waitForFunction(() => !__select.one("dialog.root"), { timeout: 5000 });
+    } catch (error) {
+      logger.warn(`Could not close dialog for reservation ${id}: ${error.message}`);
+    }
+  }
 
-      // Wait for data to reload with 100 records
-      await delay(3000);
-      await page.waitForSelector("table.fds-data-table tbody tr", {
-        visible: true,
-        timeout: 30000,
-      });
+  // A card without its transactions still needs the card activity tab
+  if (!detail || (detail.hasCard && !detail.cardActivity)) {
+    logger.info(`No complete payload captured for reservation ${id}, reading the dialog`);
+    return null;
+  }
 
-      // Initialize array for all reservations with Set for tracking duplicates
-      const pageReservations = [];
-      const processedReservationIds = new Set();
+  const listed = capture.row(id) || {};
+  const cardActivity = detail.cardActivity && summarizeCardActivity(detail.cardActivity);
+  const propertyInfo = await page.evaluate(
+    extractPropertyName,
+    getRegistry()["nav.propertyName"]
+  );
+
+  return {
+    ...Object.fromEntries(
+      Object.entries(basicData).map(([field, value]) => [field, value || listed[field] || ""])
+    ),
+    ...(detail.card || {}),
+    ...(detail.payment || {}),
+    propertyId: propertyId,
+    propertyName: propertyInfo || propertyName,
+    hasCardInfo: !!detail.card,
+    hasPaymentInfo: !!detail.payment,
+    remainingAmountToCharge: detail.remainingAmountToCharge || "N/A",
+    amountToRefund: detail.amountToRefund || "N/A",
+    amountToChargeOrRefund: detail.remainingAmountToCharge || detail.amountToRefund || "N/A",
+    status: detail.status,
+    amount: cardActivity ? cardBalance(cardActivity, id) : "N/A",
+    details: detail.details,
+    cardActivity,
+  };
+}
 
-      // Function to check if there's a next page
-      const hasNextPage = async () => {
-        return await page.evaluate(() => {
-          const nextButton = document.querySelector(
-            ".fds-pagination-button.next button"
-          );
-          return nextButton && !nextButton.disabled;
-        });
-      };
+// Scrape every page of the current search results.
+// `scrape.capture` is a network capture (network-capture.js) to take rows
+// from where possible. Reservations that still fail after their retries are
+// added to `scrape.failedRows` as { basicData, error } when it's given, else
+// kept with only their table columns. `scrape.artifacts` (artifacts.js)
+// records each failure.
+async function scrapeResultPages(page, propertyId, propertyName, browser, scrape = {}) {
+  const { capture, artifacts, failedRows } = scrape;
+  const pacer = pacerFor(page);
+  try {
+    // Final verification
+    const finalCount = await page.evaluate(() => {
+      return __select.all("row.guestLink").length;
+    });
 
-      // Function to get total results count
-      const getTotalResults = async () => {
-        const resultsText = await page.$eval(
-          ".fds-pagination-showing-result",
-          (el) => el.textContent
-        );
-        const match = resultsText.match(/of (\d+) Results/);
-        return match ? parseInt(match[1]) : 0;
-      };
+    logger.info(`Final reservation count: ${finalCount}`);
 
-      const totalResults = await getTotalResults();
-      logger.info(`Total reservations to fetch: ${totalResults}`);
+    if (finalCount === 0) {
+      logger.info("No reservations found after multiple attempts");
+      return [];
+    }
 
-      let currentPage = 1;
-      let hasMore = true;
+    // After date range is applied and before scraping data
+    // logger.info('Setting results per page to 100...')
+    // await page.waitForSelector('.fds-pagination-selector select')
+    // await page.click('.fds-pagination-selector select')
+    // await page.select('.fds-pagination-selector select', '100')
 
-      while (hasMore) {
-        try {
-          logger.info(`Processing page ${currentPage}...`);
+    await waitForEntry(page, "reservations.row", {
+      visible: true,
+      timeout: 30000,
+    });
 
-          // Wait for table data to load
-          await page.waitForSelector("table.fds-data-table tbody tr", {
-            visible: true,
-            timeout: 30000,
-          });
-          await delay(5000);
+    // Initialize array for all reservations with Set for tracking duplicates
+    const pageReservations = [];
+    const processedReservationIds = new Set();
 
-          // Get reservations from current page
-          const rows = await page.$$("table.fds-data-table tbody tr");
+    // Function to check if there's a next page
+    const hasNextPage = async () => {
+      return await page.evaluate(() => {
+        const nextButton = __select.one("reservations.nextPage");
+        return nextButton && !nextButton.disabled;
+      });
+    };
 
-          for (const row of rows) {
-            try {
-              // Get basic data first
-              const basicData = await page.evaluate((row) => {
-                return {
-                  guestName:
-                    row
-                      .querySelector(
-                        "td.guestName button.guestNameLink span.fds-button2-label"
-                      )
-                      ?.textContent.trim() || "",
-                  reservationId:
-                    row
-                      .querySelector("td.reservationId div.fds-cell")
-                      ?.textContent.trim() || "",
-                  confirmationCode:
-                    row
-                      .querySelector(
-                        "td.confirmationCode label.confirmationCodeLabel"
-                      )
-                      ?.textContent.trim() || "",
-                  checkInDate:
-                    row.querySelector("td.checkInDate")?.textContent.trim() ||
-                    "",
-                  checkOutDate:
-                    row.querySelector("td.checkOutDate")?.textContent.trim() ||
-                    "",
-                  roomType:
-                    row.querySelector("td.roomType")?.textContent.trim() || "",
-                  bookingAmount:
-                    row
-                      .querySelector("td.bookingAmount .fds-currency-value")
-                      ?.textContent.trim() || "",
-                  bookedDate:
-                    row.querySelector("td.bookedOnDate")?.textContent.trim() ||
-                    "",
-                };
-              }, row);
-
-              // Check if we've already processed this reservation
-              if (processedReservationIds.has(basicData.reservationId)) {
-                logger.info(
-                  `Skipping duplicate reservation: ${basicData.reservationId}`
-                );
-                continue;
-              }
+    // Function to get total results count
+    const getTotalResults = async () => {
+      const resultsText = await page.$eval(
+        await resolveCss(page, "reservations.resultCount"),
+        (el) => el.textContent
+      );
+      return parseResultCount(resultsText);
+    };
+
+    const totalResults = await getTotalResults();
+    logger.info(`Total reservations to fetch: ${totalResults}`);
 
-              // Add to processed set
-              processedReservationIds.add(basicData.reservationId);
+    let currentPage = 1;
+    let hasMore = true;
+
+    while (hasMore) {
+      try {
+        logger.info(`Processing page ${currentPage}...`);
+
+        // Wait for table data to load
+        await withRetry(
+          `Loading results page ${currentPage}`,
+          () => waitForEntry(page, "reservations.row", { visible: true, timeout: 30000 }),
+          { classify: failureKindOn(page) }
+        );
+
+        // Get reservations from current page
+        const rows = await page.$$(await resolveCss(page, "reservations.row"));
+
+        for (const row of rows) {
+          let basicData = null;
+          try {
+            // Get basic data first. Capture mode takes it from the list
+            // payload and only reads the table for rows the payload missed.
+            const listed =
+              capture &&
+              capture.row(
+                await row.evaluate(
+                  (el) => __select.one("row.reservationId", el)?.textContent.trim() || ""
+                )
+              );
+            basicData = listed
+              ? { ...listed }
+              : await page.evaluate(extractReservationRow, row);
+
+            // Check if we've already processed this reservation
+            if (processedReservationIds.has(basicData.reservationId)) {
+              logger.info(
+                `Skipping duplicate reservation: ${basicData.reservationId}`
+              );
+              continue;
+            }
 
-              // Get card details
-              const guestNameButton = await row.$(
-                "td.guestName button.guestNameLink"
+            // Add to processed set
+            processedReservationIds.add(basicData.reservationId);
+
+            if (capture) {
+              const captured = await reservationFromCapture(
+                page,
+                row,
+                basicData,
+                capture,
+                propertyId,
+                propertyName
               );
-              await guestNameButton.click();
-
-              // Wait for initial dialog to appear with timeout
-              try {
-                await Promise.race([
-                  page.waitForSelector(".fds-dialog", {
-                    visible: true,
-                    timeout: 8000,
-                  }),
-                  new Promise((_, reject) =>
-                    setTimeout(() => reject(new Error("Dialog timeout")), 8000)
-                  ),
-                ]);
-              } catch (error) {
-                logger.info(
-                  "Dialog did not appear within timeout, skipping to next reservation"
-                );
+              if (captured) {
+                pageReservations.push(captured);
                 continue;
               }
+            }
 
-              // Wait a bit for content to load
-              await delay(2000);
-
-              // Scroll to the bottom of dialog content and wait
-              await page.evaluate(() => {
-                const dialogContent = document.querySelector(
-                  ".fds-dialog-content"
-                );
-                if (dialogContent) {
-                  dialogContent.scrollTo(0, dialogContent.scrollHeight);
-                }
-              });
+            // Open the details dialog; each retry clicks the guest name again
+            await pacer.think();
+            await withRetry(
+              `Opening dialog for reservation ${basicData.reservationId}`,
+              () =>
+                pacer.time("open-dialog", async () => {
+                  const guestNameButton = await findEntry(page, "row.guestLink", row);
+                  if (!guestNameButton) {
+                    throw stepError("selectorMissing", "Guest name link not found");
+                  }
+                  await guestNameButton.click();
+                  try {
+                    await waitForEntry(page, "dialog.root", { visible: true, timeout: 8000 });
+                    await waitForDialogContent(page);
+                  } catch (error) {
+                    throw stepError("dialogStuck", `Dialog did not open: ${error.message}`);
+                  }
+                }),
+              { classify: failureKindOn(page) }
+            );
 
-              // Wait for content to load after scroll
-              await delay(2000);
+            // Scroll to the bottom of dialog content like a reader would
+            await page.evaluate(() => {
+              const dialogContent = __select.one("dialog.content");
+              if (dialogContent) {
+                dialogContent.scrollTo(0, dialogContent.scrollHeight);
+              }
+            });
+            await pacer.think();
 
-              // Look for the "See card activity" button and click it in a new tab
-              let remainingBalance = "N/A";
-              try {
-                const seeCardActivityButton = await page.$('.fds-cell.all-y-gutter-16 button.fds-button2.utility.small');
+            // Look for the "See card activity" button and click it in a new tab
+            let remainingBalance = "N/A";
+            let cardActivity = null;
+            try {
+              const seeCardActivityButton = await findEntry(page, "dialog.cardActivityButton");
+              
+              if (seeCardActivityButton) {
+                logger.info("Found 'See card activity' button, clicking it in a new tab...");
                 
-                if (seeCardActivityButton) {
-                  logger.info("Found 'See card activity' button, clicking it in a new tab...");
+                // Get href or onclick URL from the button
+                const buttonUrl = await page.evaluate(() => {
+                  const button = __select.one("dialog.cardActivityButton");
+                  if (!button) return null;
+                  
+                  // Click the button but prevent navigation by returning the URL
+                  const originalOpen = window.open;
+                  let capturedUrl = null;
+                  
+                  // Override window.open temporarily to capture the URL
+                  window.open = (url) => {
+                    capturedUrl = url;
+                    return { focus: () => {} }; // Mock window object
+                  };
+                  
+                  // Simulate click to trigger any onclick handlers
+                  button.click();
                   
-                  // Get href or onclick URL from the button
-                  const buttonUrl = await page.evaluate(() => {
-                    const button = document.querySelector('.fds-cell.all-y-gutter-16 button.fds-button2.utility.small');
-                    if (!button) return null;
-                    
-                    // Click the button but prevent navigation by returning the URL
-                    const originalOpen = window.open;
-                    let capturedUrl = null;
-                    
-                    // Override window.open temporarily to capture the URL
-                    window.open = (url) => {
-                      capturedUrl = url;
-                      return { focus: () => {} }; // Mock window object
-                    };
-                    
-                    // Simulate click to trigger any onclick handlers
-                    button.click();
-                    
-                    // Restore original window.open
-                    window.open = originalOpen;
-                    
-                    return capturedUrl;
-                  });
+                  // Restore original window.open
+                  window.open = originalOpen;
                   
-                  if (buttonUrl) {
-                    logger.info(`Opening card activity URL in new tab: ${buttonUrl}`);
-                    
-                    // Create a new page/tab
-                    const newPage = await browser.newPage();
-                    await newPage.goto(buttonUrl, { waitUntil: 'networkidle0', timeout: 30000 });
-                    
-                    logger.info("New tab opened for card activity");
-                    await delay(5000); // Give more time for the page to fully load
-                    
-                    // Scrape the remaining balance
-                    remainingBalance = await newPage.evaluate(() => {
-                      // Try multiple selectors to find the remaining balance
-                      const selectors = [
-                        '.evc-mock-card-remaining-balance .fds-currency-value',
-                        '.remaining-balance .fds-currency-value',
-                        '[class*="remaining-balance"] .fds-currency-value',
-                        '[class*="balance"] .fds-currency-value',
-                        '.fds-currency-value'
-                      ];
-                      
-                      for (const selector of selectors) {
-                        const elements = document.querySelectorAll(selector);
-                        for (const element of elements) {
-                          // Check if parent contains text about balance
-                          const parent = element.closest('div');
-                          if (parent && parent.textContent.toLowerCase().includes('balance')) {
-                            return element.textContent.trim();
-                          }
-                        }
-                      }
-                      
-                      // If we couldn't find a specific balance element, try to get any currency value
-                      const anyBalance = document.querySelector('.fds-currency-value');
-                      return anyBalance ? anyBalance.textContent.trim() : "N/A";
+                  return capturedUrl;
+                });
+                
+                if (buttonUrl) {
+                  logger.info(`Opening card activity URL in new tab: ${buttonUrl}`);
+                  
+                  // Scrape the transactions and the balance they should add up to
+                  const newPage = await openPage(browser, { artifacts, pacer });
+                  try {
+                    cardActivity = await pacer.time("card-activity", async () => {
+                      await newPage.goto(buttonUrl, { waitUntil: 'networkidle0', timeout: 30000 });
+                      assertSignedIn(newPage);
+                      logger.info("New tab opened for card activity");
+                      await waitForCardActivity(newPage);
+
+                      return summarizeCardActivity({
+                        balance: await newPage.evaluate(
+                          extractCardBalance,
+                          getRegistry()["cardActivity.balance"]
+                        ),
+                        transactions: await newPage.evaluate(extractCardTransactions),
+                      });
+                    });
+                    remainingBalance = cardBalance(cardActivity, basicData.reservationId);
+                  } catch (error) {
+                    // The tab shows what went wrong; the dialog behind it doesn't
+                    await artifacts?.capture(newPage, error, {
+                      propertyId,
+                      reservationId: basicData.reservationId,
+                      step: "card-activity",
                     });
-                    
-                    logger.info(`Scraped remaining balance: ${remainingBalance}`);
-                    
-                    // Take screenshot for debugging if needed
-                    await newPage.screenshot({ path: 'card-activity.png' });
-                    
-                    // Close the new tab
-                    await newPage.close();
+                    throw error;
+                  } finally {
+                    await newPage.close().catch(() => {});
                     logger.info("Closed card activity tab");
-                  } else {
-                    logger.info("Could not capture URL from 'See card activity' button, skipping");
                   }
                 } else {
-                  logger.info("'See card activity' button not found, skipping");
+                  logger.info("Could not capture URL from 'See card activity' button, skipping");
                 }
-              } catch (error) {
-                logger.warn(`Error processing card activity: ${error.message}`);
+              } else {
+                logger.info("'See card activity' button not found, skipping");
               }
+            } catch (error) {
+              logger.warn(`Error processing card activity: ${error.message}`);
+              await artifacts?.capture(page, error, {
+                propertyId,
+                reservationId: basicData.reservationId,
+                step: "card-activity",
+              });
+              // Without a session the rest of the reservation can't be read either
+              if (error.kind === "sessionExpired") throw error;
+            }
 
-              // Get card details with retry mechanism
-              let cardData = null;
-              let paymentData = null;
-              let remainingAmountToCharge = null;
-              let amountToRefund = null;
-              let status = "None"; // Default status
-              let additionalText = ""; // New variable to store additional text
-              let retries = 0;
-              while (retries < 3) {
-                try {
-                  // First check for evcCardBase element
-                  const hasEvcCard = await page.evaluate(() => {
-                    const evcCardBase = document.querySelector('.evcCardBase');
-                    if (evcCardBase) {
-                      // Get status badge if it exists
-                      const statusBadge = evcCardBase.querySelector('.fds-grid.statusBadge .fds-badge');
-                      return {
-                        exists: true,
-                        status: statusBadge ? statusBadge.textContent.trim() : 'None'
-                      };
-                    }
-                    return { exists: false };
-                  });
-
-                  if (hasEvcCard.exists) {
-                    status = hasEvcCard.status;
-                    // Get card details from evcCardBase
-                    cardData = await page.evaluate(() => {
-                      const cardNumber = document.querySelector('.evcCardBase .cardNumber.replay-conceal bdi')?.textContent.trim() || '';
-                      const expiryDate = document.querySelector('.evcCardBase .cardDetails .fds-cell.all-cell-1-4.fds-type-color-primary.replay-conceal')?.textContent.trim() || '';
-                      const cvv = document.querySelectorAll('.evcCardBase .cardDetails .fds-cell.all-cell-1-4.fds-type-color-primary.replay-conceal')[1]?.textContent.trim() || '';
-
-                      // Get additional text information
-                      const additionalTextElements = Array.from(document.querySelectorAll('.fds-cell.all-y-gutter-12 div, .fds-cell.sidePanelSection, .fds-cell.fds-type-color-attention.fds-grid .fds-cell.all-cell-fill'));
-                      const additionalText = additionalTextElements
-                        .map(el => el.textContent.trim())
-                        .filter(text => text && 
-                          !text.includes('See card activity') && 
-                          !text.includes('contact us') &&
-                          !text.includes('Show contact details'))
-                        .join(' | ');
-
-                      if (cardNumber) {
-                        return {
-                          cardNumber,
-                          expiryDate,
-                          cvv,
-                          status: status,
-                          additionalText
-                        };
-                      }
-                      return null;
-                    });
+            // Get card details with retry mechanism
+            let cardData = null;
+            let paymentData = null;
+            let remainingAmountToCharge = null;
+            let amountToRefund = null;
+            let status = "None"; // Default status
+            let additionalText = ""; // New variable to store additional text
+            let details = null;
+            try {
+              await withRetry(
+                `Reading card details for reservation ${basicData.reservationId}`,
+                async () => {
+                  // First check for the virtual card block
+                  const evcCard = await page.evaluate(extractCard);
+                  if (evcCard) {
+                    status = evcCard.status;
+                    cardData = evcCard.card;
                   }
 
                   // Always try to get payment information regardless of card data
-                  paymentData = await page.evaluate(() => {
-                    // Find all payment summary sections
-                    const paymentSummary = document.querySelector('.fds-card-content');
-                    if (!paymentSummary) return null;
-
-                    // Helper function to find value by section title
-                    const findValueByTitle = (titleText) => {
-                      const sections = Array.from(paymentSummary.querySelectorAll('.fds-grid'));
-                      for (const section of sections) {
-                        const title = section.querySelector('.sidePanelSectionTitle');
-                        if (title && title.textContent.trim() === titleText) {
-                          const value = section.querySelector('.fds-currency-value');
-                          return value ? value.textContent.trim() : '';
-                        }
-                      }
-                      return '';
-                    };
-
-                    // Get all payment values
-                    const cancellationFee = findValueByTitle('Cancellation fee');
-                    const expediaCompensation = findValueByTitle('Expedia compensation');
-                    const totalPayout = findValueByTitle('Your total payout');
-                    const totalGuestPayment = findValueByTitle('Total guest payment');
-
-                    if (cancellationFee || expediaCompensation || totalPayout) {
-                      return {
-                        totalGuestPayment,
-                        cancellationFee,
-                        expediaCompensation,
-                        totalPayout,
-                      };
-                    }
-                    return null;
-                  });
+                  paymentData = await page.evaluate(extractPaymentSummary);
 
                   // Extract "Remaining amount to charge" and "Amount to refund"
-                  const additionalPaymentInfo = await page.evaluate(() => {
-                    // Find "Remaining amount to charge"
-                    const remainingAmountSection = Array.from(
-                      document.querySelectorAll(".fds-cell.sidePanelSection")
-                    ).find((section) =>
-                      section.textContent.includes("Remaining amount to charge")
-                    );
-
-                    const remainingAmount =
-                      remainingAmountSection
-                        ?.querySelector(".fds-currency-value")
-                        ?.textContent.trim() || "";
-
-                    // Find "Amount to refund"
-                    const refundSection = Array.from(
-                      document.querySelectorAll(".fds-grid.sidePanelSection")
-                    ).find((section) =>
-                      section.textContent.includes("Amount to refund")
-                    );
-
-                    const refundAmount =
-                      refundSection
-                        ?.querySelector(".fds-currency-value")
-                        ?.textContent.trim() || "";
-
-                    return {
-                      remainingAmountToCharge: remainingAmount,
-                      amountToRefund: refundAmount,
-                    };
-                  });
+                  const additionalPaymentInfo = await page.evaluate(extractAdjustments);
+
+                  // Guest, rate and policy details, with the nightly rate lines
+                  details = await page.evaluate(extractReservationDetails);
 
                   if (additionalPaymentInfo) {
                     remainingAmountToCharge =
@@ -1169,130 +1864,135 @@ async function processReservationsPage(page, id, propertyId, propertyName, brows
                     }
                   }
 
-                  // Break the loop if we got either card data or payment data
-                  if (cardData || paymentData) {
-                    break;
+                  // The dialog is still loading until it shows card or payment data
+                  if (!cardData && !paymentData) {
+                    throw stepError("dialogStuck", "Dialog shows no card or payment data");
                   }
+                },
+                { classify: failureKindOn(page) }
+              );
+            } catch (error) {
+              // Reservations without a card or payout are kept with their table columns
+              if (error.kind === "sessionExpired") throw error;
+              logger.warn(
+                `No card or payment data for reservation ${basicData.reservationId}: ${error.message}`
+              );
+            }
 
-                  retries++;
-                  await delay(1000);
-                } catch (e) {
-                  retries++;
-                  await delay(1000);
-                }
-              }
-
-              //////////////////////////////////////////////////////////////
-              //close the side panel
-              //////////////////////////////////////////////////////////////
-              try {
-                await page.click(".fds-dialog-header button.dialog-close");
-                await delay(1500);
-              } catch (e) {
-                logger.warn("Warning: Could not close dialog normally");
-              }
+            //////////////////////////////////////////////////////////////
+            //close the side panel
+            //////////////////////////////////////////////////////////////
+            try {
+              await page.click(await resolveCss(page, "dialog.close"));
+              await pacer.time("close-dialog", () => waitForDialogClosed(page));
+            } catch (e) {
+              logger.warn("Warning: Could not close dialog normally");
+            }
 
-              // Get property name from the header with more specific selector
-              const propertyInfo = await page.evaluate(() => {
-                // Try multiple selectors to find the property name
-                const selectors = [
-                  '.tpg-navigation__header__dropdown-property-details .fds-dropdown-button-label',
-                  '.tpg-navigation__header__dropdown-property-details button span',
-                  '.tpg-navigation__header__dropdown-property-details',
-                  '.tpg-navigation__header__dropdown-property-details .fds-button2-label'
-                ];
-                
-                for (const selector of selectors) {
-                  const element = document.querySelector(selector);
-                  if (element) {
-                    const text = element.textContent.trim();
-                    if (text && text !== '') {
-                      return text;
-                    }
-                  }
-                }
-                return '';
-              });
+            // Get property name from the header with more specific selector
+            const propertyInfo = await page.evaluate(
+              extractPropertyName,
+              getRegistry()["nav.propertyName"]
+            );
 
-              // When adding to pageReservations array, include property info
+            // When adding to pageReservations array, include property info
+            pageReservations.push({
+              ...basicData,
+              ...(cardData || {}),
+              ...(paymentData || {}),
+              propertyId: propertyId,
+              propertyName: propertyInfo || propertyName, // Use propertyName as fallback
+              hasCardInfo: !!cardData,
+              hasPaymentInfo: !!paymentData,
+              remainingAmountToCharge: remainingAmountToCharge || "N/A",
+              amountToRefund: amountToRefund || "N/A",
+              amountToChargeOrRefund: cardData?.additionalText || remainingAmountToCharge || amountToRefund || "N/A",
+              status: status,
+              amount: remainingBalance,
+              details,
+              cardActivity,
+            });
+          } catch (error) {
+            logger.info(`Error processing reservation: ${error.message}`);
+            await artifacts?.capture(page, error, {
+              propertyId,
+              reservationId: basicData?.reservationId,
+              step: "reservation",
+            });
+            try {
+              await page.click(await resolveCss(page, "dialog.close"));
+            } catch (e) {
+              // Dialog never opened
+            }
+            if (error.kind === "sessionExpired") throw error;
+            if (failedRows && basicData) {
+              failedRows.push({ basicData, error });
+            } else if (basicData) {
               pageReservations.push({
                 ...basicData,
-                ...(cardData || {}),
-                ...(paymentData || {}),
-                propertyId: propertyId,
-                propertyName: propertyInfo || propertyName, // Use propertyName as fallback
-                hasCardInfo: !!cardData,
-                hasPaymentInfo: !!paymentData,
-                remainingAmountToCharge: remainingAmountToCharge || "N/A",
-                amountToRefund: amountToRefund || "N/A",
-                amountToChargeOrRefund: cardData?.additionalText || remainingAmountToCharge || amountToRefund || "N/A",
-                status: status,
-                amount: remainingBalance,
+                cardNumber: "N/A",
+                expiryDate: "N/A",
+                cvv: "N/A",
+                remainingAmountToCharge: "N/A",
+                amountToRefund: "N/A",
+                amountToChargeOrRefund: "N/A",
               });
-            } catch (error) {
-              logger.info(`Error processing reservation: ${error.message}`);
-              if (basicData) {
-                pageReservations.push({
-                  ...basicData,
-                  cardNumber: "N/A",
-                  expiryDate: "N/A",
-                  cvv: "N/A",
-                  remainingAmountToCharge: "N/A",
-                  amountToRefund: "N/A",
-                  amountToChargeOrRefund: "N/A",
-                });
-              }
             }
           }
+        }
 
-          logger.info(
-            `Processed ${pageReservations.length} of ${totalResults} reservations`
-          );
+        logger.info(
+          `Processed ${pageReservations.length} of ${totalResults} reservations`
+        );
 
-          // Check if there's a next page
-          hasMore = await hasNextPage();
-          if (hasMore) {
-            // Scroll down smoothly before clicking next page
-            await page.evaluate(() => {
-              window.scrollBy({
-                top: 300,
-                behavior: "smooth",
-              });
+        // Check if there's a next page
+        hasMore = await hasNextPage();
+        if (hasMore) {
+          // Scroll down smoothly before clicking next page
+          await page.evaluate(() => {
+            window.scrollBy({
+              top: 300,
+              behavior: "smooth",
             });
-            await delay(1500); // Wait for scroll animation
+          });
+          await pacer.think();
 
-            await page.click(".fds-pagination-button.next button");
-            await delay(2000);
-            currentPage++;
-          }
-        } catch (pageError) {
-          logger.info(
-            `Error processing page ${currentPage}: ${pageError.message}`
+          // The page has changed once the rows and "showing" label update
+          const before = await resultsSnapshot(page);
+          await page.click(await resolveCss(page, "reservations.nextPage"));
+          await pacer.time("next-page", () =>
+            waitForResults(page, before, { settleMs: pacer.settleMs })
           );
-          // Try to recover by reloading the page
-          await page.reload({ waitUntil: "networkidle0" });
-          await delay(5000);
+          currentPage++;
         }
+      } catch (pageError) {
+        logger.info(
+          `Error processing page ${currentPage}: ${pageError.message}`
+        );
+        await artifacts?.capture(page, pageError, {
+          propertyId,
+          step: `results-page-${currentPage}`,
+        });
+        // The caller retries the whole search from the first page
+        throw pageError;
       }
+    }
 
-      logger.info(
-        `Date scraping completed. Found total ${pageReservations.length} reservations on this tab`
-      );
+    logger.info(
+      `Date scraping completed. Found total ${pageReservations.length} reservations on this tab`
+    );
 
-      // Log if no reservations were found for this date range
-      if (pageReservations.length === 0) {
-        logger.warn(
-          `No reservations found for date range. This date range may be missing data.`
-        );
-      }
-      return pageReservations;
-    } catch (error) {
-      logger.error(`Error processing tab: ${error.message}`);
-      return [];
+    // Log if no reservations were found for this date range
+    if (pageReservations.length === 0) {
+      logger.warn(
+        `No reservations found for date range. This date range may be missing data.`
+      );
     }
+    return pageReservations;
   } catch (error) {
     logger.error(`Error processing tab: ${error.message}`);
-    return [];
+    await artifacts?.capture(page, error, { propertyId, step: "results" });
+    throw error;
   }
 }
 
@@ -1338,8 +2038,9 @@ function cleanupOldLogs() {
   }
 }
 
-// Run cleanup every 15 minutes
-setInterval(cleanupOldLogs, 15 * 60 * 1000);
+// Run cleanup every 15 minutes. Neither this nor the log watcher keeps the
+// process alive on its own, so importing this file (see below) can exit.
+setInterval(cleanupOldLogs, 15 * 60 * 1000).unref();
 
 // Watch for JSON file changes
 fs.watch(path.join(__dirname, "data.json"), () => {
@@ -1351,8 +2052,32 @@ fs.watch(path.join(__dirname, "data.json"), () => {
   } catch (error) {
     console.error("Error reading logs:", error);
   }
+}).unref();
+
+// Forward job progress to the dashboard as typed events:
+// run:started, run:login, run:2fa-waiting, run:property-started,
+// run:property-finished, run:reservation-scraped, run:paused, run:resumed, run:finished
+jobEvents.on("event", (event) => {
+  io.emit(`run:${event.type}`, event);
 });
 
+// Socket command acknowledgements: { success, message?, job? }
+const respond = (ack, body) => {
+  if (typeof ack === "function") ack(body);
+};
+
+// Socket commands take an optional payload object and an optional ack.
+// Whatever else a client emits is read as an empty payload, so a malformed
+// message can't throw inside socket.io's dispatch.
+const commandArgs = (payload, ack) => {
+  if (typeof payload === "function") return [{}, payload];
+  const isObject = payload !== null && typeof payload === "object" && !Array.isArray(payload);
+  return [isObject ? payload : {}, typeof ack === "function" ? ack : undefined];
+};
+
+// Commands without a jobId act on the job that's currently running
+const jobForCommand = (jobId) => (jobId ? getJob(jobId) : getActiveJob());
+
 // WebSocket connection handling
 io.on("connection", (socket) => {
   console.log("Client connected");
@@ -1361,17 +2086,115 @@ io.on("connection", (socket) => {
     if (!err) socket.emit("update", JSON.parse(data)); // Send initial data
   });
 
+  // Start a run: { profiles, inputId, concurrency, capture }. Without profiles the
+  // "default" profile from the environment is used.
+  socket.on("start", (...args) => {
+    const [params, ack] = commandArgs(...args);
+
+    try {
+      rejectInlineCredentials(params);
+      const profiles = resolveProfiles(params.profiles);
+
+      let input = null;
+      if (params.inputId) {
+        input = getInput(params.inputId);
+        if (!input) throw new Error(`Input ${params.inputId} not found`);
+      }
+
+      const job = queueScrapeJob({
+        profiles,
+        input,
+        concurrency: parseInt(params.concurrency, 10) || 1,
+        capture: params.capture,
+        launchProfile: params.browser,
+        pacing: params.pacing,
+      });
+      respond(ack, { success: true, job: serializeJob(job) });
+    } catch (error) {
+      logger.error(`Could not start run: ${error.message}`);
+      respond(ack, { success: false, message: error.message });
+    }
+  });
+
+  socket.on("pause", (...args) => {
+    const [{ jobId }, ack] = commandArgs(...args);
+    const job = jobForCommand(jobId);
+    if (!job?.pause?.()) {
+      return respond(ack, { success: false, message: "No running job to pause" });
+    }
+    respond(ack, { success: true, job: serializeJob(job) });
+  });
+
+  socket.on("resume", (...args) => {
+    const [{ jobId }, ack] = commandArgs(...args);
+    const job = jobForCommand(jobId);
+    if (!job?.resume?.()) {
+      return respond(ack, { success: false, message: "No paused job to resume" });
+    }
+    respond(ack, { success: true, job: serializeJob(job) });
+  });
+
+  socket.on("cancel", async (...args) => {
+    const [{ jobId }, ack] = commandArgs(...args);
+    const target = jobForCommand(jobId);
+    if (!target) {
+      return respond(ack, { success: false, message: "No job to cancel" });
+    }
+    try {
+      const job = await cancelJob(target.id);
+      respond(ack, { success: true, job: serializeJob(job) });
+    } catch (error) {
+      logger.error(`Could not cancel job ${target.id}: ${error.message}`);
+      respond(ack, { success: false, message: error.message });
+    }
+  });
+
+  // Skip { propertyId }, or every property in progress when none is given
+  socket.on("skip", (...args) => {
+    const [{ jobId, propertyId }, ack] = commandArgs(...args);
+    const job = jobForCommand(jobId);
+    if (!job?.skipProperty || !["running", "paused"].includes(job.state)) {
+      return respond(ack, { success: false, message: "No running job" });
+    }
+    const skipped = job.skipProperty(propertyId);
+    respond(ack, { success: true, skipped });
+  });
+
+  // Passcode typed by the operator for a profile using the manual provider
+  socket.on("code", (...args) => {
+    const [{ jobId, code }, ack] = commandArgs(...args);
+    if (!code) {
+      return respond(ack, { success: false, message: "Code is required" });
+    }
+    const job = jobForCommand(jobId);
+    if (!submitManualCode(job?.id, code)) {
+      return respond(ack, {
+        success: false,
+        message: "No run is waiting for a verification code",
+      });
+    }
+    respond(ack, { success: true });
+  });
+
   socket.on("disconnect", () => console.log("Client disconnected"));
 });
 
 // Express routes
+// Authorize a Gmail mailbox: ?mailbox=<name>, or ?profile=<name> for that
+// credential profile's mailbox; "default" (token.json) when neither is given
 app.get("/auth", async (req, res) => {
-  const authUrl = oauth2Client.generateAuthUrl({
-    access_type: "offline",
-    scope: SCOPES,
-  });
+  let mailbox = req.query.mailbox || "default";
+  if (req.query.profile) {
+    const profile = getProfile(req.query.profile);
+    if (!profile) return res.status(404).send("Profile not found.");
+    mailbox = profile.mailbox;
+  }
 
-  res.redirect(authUrl);
+  try {
+    res.redirect(authUrlFor(mailbox));
+  } catch (error) {
+    res.status(400).send(error.message);
+  }
 });
 
 app.get("/oauth2callback", async (req, res) => {
@@ -1381,54 +2204,687 @@ app.get("/oauth2callback", async (req, res) => {
   }
 
   try {
-    const { tokens } = await oauth2Client.getToken(code);
-    oauth2Client.setCredentials(tokens);
-    fs.writeFileSync(TOKEN_PATH, JSON.stringify(tokens));
+    const mailbox = /^[\w-]+$/.test(req.query.state || "")
+      ? req.query.state
+      : "default";
+    await saveAuthorization(mailbox, code);
+    logger.info(`Gmail mailbox "${mailbox}" authorized`);
     // res.send('Authentication successful! You can close this window.')
     res.redirect(process.env.FRONTEND_REDIRECT_URI);
   } catch (error) {
     res.status(500).send("Error retrieving access token: " + error.message);
   }
 });
-// Independent API endpoint for Expedia login automation
-app.get("/api/expedia", async (req, res) => {
-  const { email, password, propertyName } = req.query;
 
-  if (!email || !password) {
-    return res.status(400).json({
+// Gmail token status: every saved mailbox, or just ?mailbox=<name>
+app.get("/api/auth/status", async (req, res) => {
+  try {
+    const mailboxes = req.query.mailbox ? [req.query.mailbox] : listMailboxes();
+    const statuses = await Promise.all(mailboxes.map(mailboxStatus));
+    res.json({ success: true, mailboxes: statuses });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Revoke a mailbox token with Google and delete it
+app.post("/api/auth/:mailbox/revoke", async (req, res) => {
+  try {
+    if (!(await revokeMailbox(req.params.mailbox))) {
+      return res.status(404).json({ success: false, message: "Mailbox not found" });
+    }
+    logger.info(`Gmail mailbox "${req.params.mailbox}" revoked`);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Expedia credential profiles, stored encrypted with CREDENTIALS_KEY.
+// Passwords are accepted but never returned.
+app.get("/api/profiles", (req, res) => {
+  res.json({ success: true, profiles: listProfiles().map(publicProfile) });
+});
+
+app.get("/api/profiles/:name", (req, res) => {
+  const profile = getProfile(req.params.name);
+  if (!profile) {
+    return res.status(404).json({ success: false, message: "Profile not found" });
+  }
+  res.json({ success: true, profile: publicProfile(profile) });
+});
+
+// Create or update: { name, email, password, mailbox, properties[] }
+app.post("/api/profiles", (req, res) => {
+  try {
+    const profile = saveProfile(req.body);
+    logger.info(`Saved credential profile "${profile.name}"`);
+    res.status(201).json({ success: true, profile: publicProfile(profile) });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.delete("/api/profiles/:name", (req, res) => {
+  if (!deleteProfile(req.params.name)) {
+    return res.status(404).json({ success: false, message: "Profile not found" });
+  }
+  res.json({ success: true });
+});
+
+// Saved browser sessions per credential profile
+app.get("/api/sessions", (req, res) => {
+  res.json({ success: true, sessions: listSessions() });
+});
+
+// Forget a session so the next run signs in from scratch
+app.delete("/api/sessions/:account", (req, res) => {
+  try {
+    if (!clearSession(req.params.account)) {
+      return res.status(404).json({ success: false, message: "Session not found" });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Run the full login for a profile now and save the new session. Queued as a
+// job since it needs the browser and the profile's 2FA mailbox.
+app.post("/api/sessions/:account/refresh", (req, res) => {
+  let profile;
+  try {
+    [profile] = resolveProfiles(req.params.account);
+  } catch (error) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+
+  const job = createJob({ type: "session-refresh", account: profile.name }, (job) =>
+    refreshSession(profile, job)
+  );
+  res.status(202).json({
+    success: true,
+    message: "Session refresh queued",
+    jobId: job.id,
+  });
+});
+
+// Column-mapping profiles for uploaded workbooks
+app.get("/api/mappings", (req, res) => {
+  res.json({ success: true, mappings: listMappings() });
+});
+
+app.get("/api/mappings/:name", (req, res) => {
+  const mapping = getMapping(req.params.name);
+  if (!mapping) {
+    return res.status(404).json({ success: false, message: "Mapping not found" });
+  }
+  res.json({ success: true, mapping });
+});
+
+// Create or replace a profile: { name, propertyId[], reservationId[], sheets[], passthrough[] }
+app.post("/api/mappings", (req, res) => {
+  try {
+    const mapping = saveMapping(req.body);
+    logger.info(`Saved column mapping "${mapping.name}"`);
+    res.status(201).json({ success: true, mapping });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.delete("/api/mappings/:name", (req, res) => {
+  if (!deleteMapping(req.params.name)) {
+    return res.status(404).json({ success: false, message: "Mapping not found" });
+  }
+  res.json({ success: true });
+});
+
+// Upload a reservation input: an xlsx/csv file in the "file" field or a
+// JSON body of { propertyId, reservationIds[] } (or an array of them).
+// Files are read with the column-mapping profile named by `mapping`.
+app.post("/api/inputs", upload.single("file"), (req, res) => {
+  try {
+    let input;
+    if (req.file) {
+      const mappingName = req.body.mapping || req.query.mapping;
+      const mapping = getMapping(mappingName);
+      if (!mapping) {
+        return res.status(404).json({
+          success: false,
+          message: `Mapping ${mappingName} not found`,
+        });
+      }
+      input = createInputFromFile(
+        req.file.buffer,
+        req.file.originalname,
+        mapping
+      );
+    } else if (req.is("application/json")) {
+      input = createInputFromJson(req.body);
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: "Upload a file or send a JSON body",
+      });
+    }
+
+    const { id, source, fileName, mapping, createdAt, summary, report } = input;
+
+    // Rejected inputs aren't stored; the report says what to fix
+    if (summary.accepted === 0) {
+      return res.status(422).json({
+        success: false,
+        message: "No valid rows found in the input",
+        input: { id, source, fileName, mapping, createdAt, summary },
+        report,
+      });
+    }
+
+    logger.info(
+      `Stored input ${id}: ${summary.accepted} reservations across ${summary.properties} properties, ${summary.skipped} rows skipped`
+    );
+    res.status(201).json({
+      success: true,
+      input: { id, source, fileName, mapping, createdAt, summary },
+      report,
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.get("/api/inputs", (req, res) => {
+  res.json({ success: true, inputs: listInputs() });
+});
+
+app.get("/api/inputs/:id", (req, res) => {
+  const input = getInput(req.params.id);
+  if (!input) {
+    return res.status(404).json({ success: false, message: "Input not found" });
+  }
+  res.json({ success: true, input });
+});
+
+// Tag hotels with the profile that signs in for them; fails when a Gmail
+// mailbox is missing its token or no profile covers a property
+const assignProfiles = (hotels, profiles) => {
+  for (const profile of profiles) {
+    const usesGmail = (profile.verification?.type || "gmail") === "gmail";
+    if (usesGmail && !hasToken(profile.mailbox)) {
+      throw new Error(
+        `Gmail mailbox "${profile.mailbox}" for profile "${profile.name}" has no token`
+      );
+    }
+  }
+
+  const assignment = assignHotels(hotels, profiles);
+  if (assignment.unassigned.length > 0) {
+    throw new Error(
+      `No credential profile covers properties: ${assignment.unassigned.join(", ")}`
+    );
+  }
+  return assignment.hotels;
+};
+
+// Queue a scrape job with its own checkpoint; used by POST /api/jobs and
+// schedules. Throws without CREDENTIALS_KEY, which the checkpoint needs.
+const queueScrapeJob = ({
+  profiles,
+  input,
+  concurrency,
+  output,
+  capture,
+  launchProfile,
+  pacing,
+  params = {},
+}) => {
+  const captureMode = captureModeFor(capture);
+  const pacingProfile = pacingProfileFor(pacing);
+  // Checked now so a bad name fails the request, not the queued job
+  if (launchProfile) resolveLaunchProfile(launchProfile);
+  const inputHotels = input ? input.hotels : getDataFromSheet();
+  if (inputHotels.length === 0) {
+    throw new Error("No reservations to process");
+  }
+  const hotels = assignProfiles(inputHotels, profiles);
+
+  const runParams = { profiles: profiles.map((profile) => profile.name) };
+
+  const checkpoint = createCheckpoint({
+    hotels,
+    passthrough: input?.passthrough || [],
+    params: { ...runParams, inputId: input?.id || null },
+  });
+
+  return createJob(
+    {
+      ...runParams,
+      inputId: input?.id || null,
+      concurrency,
+      output: output || null,
+      capture: captureMode,
+      launchProfile: launchProfile || null,
+      pacing: pacingProfile,
+      checkpointId: checkpoint.id,
+      ...params,
+    },
+    (job) =>
+      runAccounts(profiles, {
+        job,
+        checkpoint,
+        concurrency,
+        output,
+        capture: captureMode,
+        launchProfile,
+        pacing: pacingProfile,
+      })
+  );
+};
+
+// Capture mode for a run: the requested one, else CAPTURE_MODE, else "dom"
+const captureModeFor = (requested) => {
+  const mode = requested || process.env.CAPTURE_MODE || "dom";
+  if (!CAPTURE_MODES.includes(mode)) {
+    throw new Error(`capture must be one of ${CAPTURE_MODES.join(", ")}`);
+  }
+  return mode;
+};
+
+// Credentials are stored once through /api/profiles; runs only name profiles
+const rejectInlineCredentials = (source = {}) => {
+  if (source.email || source.password) {
+    throw new Error(
+      "Credentials are not accepted per run; save them with POST /api/profiles and pass profile names"
+    );
+  }
+};
+
+// Credential profiles by name. "default" is EMAIL/PASSWORD from the
+// environment with the token.json mailbox. Accepts one name or a list.
+const resolveProfiles = (names = "default") => {
+  const list = Array.isArray(names) ? names : [names];
+  if (list.length === 0) {
+    throw new Error("At least one credentials profile is required");
+  }
+
+  return list.map((name) => {
+    if (typeof name !== "string") {
+      throw new Error("Credentials profiles are referenced by name");
+    }
+    if (name === "default") {
+      if (!process.env.EMAIL || !process.env.PASSWORD) {
+        throw new Error("EMAIL and PASSWORD must be set for the default credentials profile");
+      }
+      return {
+        name: "default",
+        email: process.env.EMAIL,
+        password: process.env.PASSWORD,
+        mailbox: "default",
+        properties: [],
+      };
+    }
+
+    const profile = getProfile(name);
+    if (!profile) throw new Error(`Unknown credentials profile "${name}"`);
+    return profile;
+  });
+};
+
+// Start a scrape run in the background and return its job ID right away.
+// Body: { profiles: [name, ...], inputId, concurrency, capture }; profiles
+// defaults to "default", capture ("dom" or "network") to CAPTURE_MODE
+app.post("/api/jobs", (req, res) => {
+  const { inputId, profiles: profileNames } = req.body || {};
+  const concurrency =
+    parseInt(req.body?.concurrency, 10) ||
+    parseInt(process.env.CONCURRENCY, 10) ||
+    1;
+
+  let profiles;
+  try {
+    rejectInlineCredentials(req.body);
+    profiles = resolveProfiles(profileNames);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  let input = null;
+  if (inputId) {
+    input = getInput(inputId);
+    if (!input) {
+      return res
+        .status(404)
+        .json({ success: false, message: `Input ${inputId} not found` });
+    }
+  }
+
+  try {
+    const job = queueScrapeJob({
+      profiles,
+      input,
+      concurrency,
+      capture: req.body?.capture,
+      launchProfile: req.body?.browser,
+      pacing: req.body?.pacing,
+    });
+    res.status(202).json({ success: true, job: serializeJob(job) });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Continue a failed or cancelled job, or one that finished "partial" with
+// failed reservations, from its checkpoint in a new job
+app.post("/api/jobs/:id/resume", (req, res) => {
+  const previous = getJob(req.params.id);
+  if (!previous) {
+    return res.status(404).json({ success: false, message: "Job not found" });
+  }
+
+  const checkpoint = loadCheckpoint(previous.params.checkpointId);
+  if (!checkpoint) {
+    return res
+      .status(404)
+      .json({ success: false, message: "No checkpoint saved for this job" });
+  }
+
+  if (checkpoint.status === "completed") {
+    return res.status(409).json({
       success: false,
-      message: "Email, password, and are required",
+      message: "This run already completed",
+      checkpoint: checkpoint.summary(),
     });
   }
 
+  const busy = listJobs().some(
+    (job) =>
+      ["queued", "running", "paused"].includes(job.state) &&
+      job.params.checkpointId === checkpoint.id
+  );
+  if (busy) {
+    return res.status(409).json({
+      success: false,
+      message: "Another job is already working on this checkpoint",
+    });
+  }
+
+  const { concurrency, output, capture, launchProfile, pacing } = previous.params;
+
+  // Credentials are reloaded from the profiles; runs from before profiles
+  // existed resume under the "default" profile
+  let profiles;
   try {
-    if (!loadToken()) {
+    profiles = resolveProfiles(previous.params.profiles || "default");
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  const job = createJob(
+    {
+      ...previous.params,
+      resumeOf: previous.id,
+      checkpointId: checkpoint.id,
+    },
+    (job) =>
+      runAccounts(profiles, {
+        job,
+        checkpoint,
+        concurrency,
+        output,
+        capture,
+        launchProfile,
+        pacing,
+      })
+  );
+
+  res.status(202).json({
+    success: true,
+    job: serializeJob(job),
+    checkpoint: checkpoint.summary(),
+  });
+});
+
+app.get("/api/jobs", (req, res) => {
+  res.json({ success: true, jobs: listJobs().map(serializeJob) });
+});
+
+app.get("/api/jobs/:id", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, message: "Job not found" });
+  }
+  const checkpoint = loadCheckpoint(job.params.checkpointId);
+  res.json({
+    success: true,
+    job: serializeJob(job),
+    checkpoint: checkpoint ? checkpoint.summary() : null,
+  });
+});
+
+app.delete("/api/jobs/:id", async (req, res) => {
+  const job = await cancelJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, message: "Job not found" });
+  }
+  res.json({ success: true, job: serializeJob(job) });
+});
+
+// Launch profiles runs and credential profiles can name as `browser`
+app.get("/api/browser-profiles", (req, res) => {
+  try {
+    const profiles = Object.entries(listLaunchProfiles()).map(([name, settings]) =>
+      publicLaunchProfile(name, settings)
+    );
+    res.json({ success: true, profiles });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Learned reservations URLs of properties (property-urls.js). Clearing them
+// makes the next visit find each property through the home page again.
+app.get("/api/property-urls", (req, res) => {
+  res.json({ success: true, properties: listPropertyUrls() });
+});
+
+app.delete("/api/property-urls", (req, res) => {
+  const count = clearPropertyUrls();
+  res.json({ success: true, message: `Cleared ${count} cached property URLs` });
+});
+
+app.delete("/api/property-urls/:propertyId", (req, res) => {
+  if (!forgetPropertyUrl(req.params.propertyId)) {
+    return res.status(404).json({ success: false, message: "No cached URL for this property" });
+  }
+  res.json({ success: true, message: "Cached URL removed" });
+});
+
+// Failure artifacts, one folder per run named by its checkpoint ID (a job's
+// params.checkpointId). Screenshots and HTML show guest and payment details,
+// with the virtual card numbers and CVVs blanked (artifacts.js).
+app.get("/api/artifacts", (req, res) => {
+  res.json({ success: true, runs: listArtifactRuns() });
+});
+
+app.get("/api/artifacts/:runId", (req, res) => {
+  const files = listArtifacts(req.params.runId);
+  if (!files) {
+    return res.status(404).json({ success: false, message: "Run has no artifacts" });
+  }
+  res.json({ success: true, runId: req.params.runId, files });
+});
+
+app.get("/api/artifacts/:runId/:file", (req, res) => {
+  const artifact = getArtifact(req.params.runId, req.params.file);
+  if (!artifact) {
+    return res.status(404).json({ success: false, message: "Artifact not found" });
+  }
+  res.type(artifact.type);
+  res.download(artifact.path);
+});
+
+app.delete("/api/artifacts/:runId", (req, res) => {
+  if (!deleteArtifactRun(req.params.runId)) {
+    return res.status(404).json({ success: false, message: "Run has no artifacts" });
+  }
+  res.json({ success: true, message: "Artifacts deleted" });
+});
+
+// Queue the job for a due schedule and return its ID
+const runSchedule = (schedule) => {
+  const profiles = resolveProfiles(schedule.credentials);
+
+  let input = null;
+  if (schedule.inputId) {
+    input = getInput(schedule.inputId);
+    if (!input) throw new Error(`Input ${schedule.inputId} not found`);
+  }
+
+  const job = queueScrapeJob({
+    profiles,
+    input,
+    concurrency: schedule.output.concurrency,
+    output: schedule.output,
+    launchProfile: schedule.browser,
+    pacing: schedule.pacing,
+    params: { scheduleId: schedule.id },
+  });
+  return job.id;
+};
+
+// Recurring runs. Body: { name, cron, timezone, inputId, credentials,
+// output: { concurrency, directory, filePrefix }, missedRunPolicy }
+app.post("/api/schedules", (req, res) => {
+  const { inputId, credentials } = req.body || {};
+
+  if (inputId && !getInput(inputId)) {
+    return res
+      .status(404)
+      .json({ success: false, message: `Input ${inputId} not found` });
+  }
+
+  try {
+    resolveProfiles(credentials);
+    const schedule = createSchedule(req.body);
+    logger.info(`Created schedule "${schedule.name}" (${schedule.cron})`);
+    res.status(201).json({ success: true, schedule });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.get("/api/schedules", (req, res) => {
+  res.json({ success: true, schedules: listSchedules() });
+});
+
+app.get("/api/schedules/:id", (req, res) => {
+  const schedule = getSchedule(req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ success: false, message: "Schedule not found" });
+  }
+  res.json({ success: true, schedule });
+});
+
+app.post("/api/schedules/:id/pause", (req, res) => {
+  const schedule = pauseSchedule(req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ success: false, message: "Schedule not found" });
+  }
+  res.json({ success: true, schedule });
+});
+
+app.post("/api/schedules/:id/resume", (req, res) => {
+  const schedule = resumeSchedule(req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ success: false, message: "Schedule not found" });
+  }
+  res.json({ success: true, schedule });
+});
+
+app.delete("/api/schedules/:id", (req, res) => {
+  if (!deleteSchedule(req.params.id)) {
+    return res.status(404).json({ success: false, message: "Schedule not found" });
+  }
+  res.json({ success: true });
+});
+
+// Independent API endpoint for Expedia login automation.
+// Query: { profile, inputId, concurrency, capture }; profile defaults to "default"
+app.get("/api/expedia", async (req, res) => {
+  const { profile: profileName, inputId, concurrency } = req.query;
+
+  let profile;
+  let capture;
+  let launchProfile;
+  let pacing;
+  try {
+    rejectInlineCredentials(req.query);
+    [profile] = resolveProfiles(profileName || "default");
+    capture = captureModeFor(req.query.capture);
+    launchProfile = resolveLaunchProfile(req.query.browser, profile.browser);
+    pacing = pacingProfileFor(req.query.pacing);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  let input = null;
+  if (inputId) {
+    input = getInput(inputId);
+    if (!input) {
       return res
-        .status(401)
-        .json({ success: false, message: "Gmail authentication required" });
+        .status(404)
+        .json({ success: false, message: `Input ${inputId} not found` });
     }
+  }
 
-    // Call loginToExpediaPartner with the validated dates
-    await loginToExpediaPartner(email, password, propertyName);
+  try {
+    const hotels = assignProfiles(input ? input.hotels : getDataFromSheet(), [profile]);
+
+    const result = await loginToExpediaPartner(profile.email, profile.password, {
+      hotels,
+      passthrough: input?.passthrough,
+      concurrency: concurrency || process.env.CONCURRENCY,
+      capture,
+      launchProfile,
+      pacing,
+      account: profile.name,
+      mailbox: profile.mailbox,
+      verification: profile.verification,
+    });
 
+    // No job records this run; the response carries its summary instead
     res.json({
       success: true,
       message: "Successfully processed",
+      ...result,
     });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
-// Start the Express server
-server.listen(port, () => {
-  logger.info(`Server running at http://localhost:${port}`);
+// Start the Express server when run directly; tests import the scraper
+// without it
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  server.listen(port, () => {
+    logger.info(`Server running at http://localhost:${port}`);
   
-  // Run cleanup immediately when server starts
-  cleanupOldLogs();
+    // Run cleanup immediately when server starts
+    cleanupOldLogs();
+
+    migrateProfiles();
+    startScheduler(runSchedule);
+
+    if (PARTNER_CENTRAL_BASE_URL) {
+      logger.info(`Using Partner Central at ${PARTNER_CENTRAL_BASE_URL}`);
+    }
   
-  if (!loadToken()) {
-    logger.info("Opening browser for authentication...");
-    open(`http://localhost:${port}/auth`);
-  }
-});
\ No newline at end of file
+    if (!hasToken()) {
+      logger.info("Opening browser for authentication...");
+      open(`http://localhost:${port}/auth`);
+    }
+  });
+}
+
+export { loginToExpediaPartner };
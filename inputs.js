@@ -0,0 +1,340 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import xlsx from "xlsx";
+import { DEFAULT_MAPPING, normalizeHeader } from "./column-mappings.js";
+import { rangeKey, validateDateRange } from "./date-ranges.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Uploaded inputs are kept as <id>.json (parsed rows + report) next to the original file
+const INPUTS_DIR = path.join(__dirname, "inputs");
+
+if (!fs.existsSync(INPUTS_DIR)) {
+  fs.mkdirSync(INPUTS_DIR, { recursive: true });
+}
+
+const SUPPORTED_EXTENSIONS = [".xlsx", ".xls", ".csv"];
+
+const inputPath = (id) => path.join(INPUTS_DIR, `${id}.json`);
+
+// Pick the sheets a mapping asks for; names match like headers do
+const selectSheets = (workbook, mapping) => {
+  if (!mapping.sheets.length) return [workbook.SheetNames[0]];
+  if (mapping.sheets.includes("*")) return workbook.SheetNames;
+
+  return mapping.sheets.map((wanted) => {
+    const name = workbook.SheetNames.find(
+      (sheetName) => normalizeHeader(sheetName) === normalizeHeader(wanted)
+    );
+    if (!name) {
+      throw new Error(
+        `Sheet "${wanted}" not found. Available sheets: ${workbook.SheetNames.join(", ")}`
+      );
+    }
+    return name;
+  });
+};
+
+const findColumn = (headers, aliases) => {
+  for (const alias of aliases) {
+    const index = headers.indexOf(normalizeHeader(alias));
+    if (index !== -1) return index;
+  }
+  return -1;
+};
+
+// Read { sheet, row, propertyId, reservationId, extras } rows from a workbook
+// using a column-mapping profile. When every sheet is requested, sheets
+// without the ID columns are listed in `ignoredSheets` instead of failing.
+const readWorkbookRows = (workbook, mapping = DEFAULT_MAPPING) => {
+  const rows = [];
+  const sheets = [];
+  const ignoredSheets = [];
+  const readAll = mapping.sheets.includes("*");
+
+  for (const sheetName of selectSheets(workbook, mapping)) {
+    const sheet = workbook.Sheets[sheetName];
+    if (!sheet["!ref"]) {
+      ignoredSheets.push({ sheet: sheetName, reason: "Sheet is empty" });
+      continue;
+    }
+
+    const matrix = xlsx.utils.sheet_to_json(sheet, {
+      header: 1,
+      defval: "",
+      blankrows: true,
+    });
+    const headerRow = xlsx.utils.decode_range(sheet["!ref"]).s.r + 1;
+    const headers = (matrix[0] || []).map(normalizeHeader);
+
+    const propertyColumn = findColumn(headers, mapping.propertyId);
+    const reservationColumn = findColumn(headers, mapping.reservationId);
+    if (propertyColumn === -1 || reservationColumn === -1) {
+      const missing = propertyColumn === -1 ? mapping.propertyId : mapping.reservationId;
+      const reason = `No column matching ${missing.map((h) => `"${h}"`).join(" / ")}`;
+      if (readAll) {
+        ignoredSheets.push({ sheet: sheetName, reason });
+        continue;
+      }
+      throw new Error(`Sheet "${sheetName}": ${reason}`);
+    }
+
+    const passthroughColumns = mapping.passthrough.map((header) => [
+      header,
+      findColumn(headers, [header]),
+    ]);
+
+    sheets.push(sheetName);
+    matrix.slice(1).forEach((values, index) => {
+      // Blank spacer rows aren't worth a report entry
+      if (values.every((value) => String(value).trim() === "")) return;
+
+      const extras = {};
+      for (const [header, column] of passthroughColumns) {
+        extras[header] = column === -1 ? "" : values[column];
+      }
+
+      rows.push({
+        sheet: sheetName,
+        row: headerRow + 1 + index,
+        propertyId: values[propertyColumn],
+        reservationId: values[reservationColumn],
+        extras,
+      });
+    });
+  }
+
+  if (!sheets.length) {
+    throw new Error(
+      `No sheet has the mapped ID columns: ${ignoredSheets
+        .map((entry) => `${entry.sheet} (${entry.reason})`)
+        .join("; ")}`
+    );
+  }
+
+  return { rows, sheets, ignoredSheets };
+};
+
+// Validate input rows and group them by property.
+// Rows carry their own `row` number; otherwise it counts from `rowOffset`.
+// Passthrough values are kept per reservation in `hotel.extras`.
+// A row with a `dateRange` instead of a reservation ID asks for every
+// reservation in that range; its rangeKey() goes in `idList` and the range
+// itself in `hotel.dateRanges`.
+const buildHotels = (rows, rowOffset = 1) => {
+  const hashMap = {};
+  const hotels = [];
+  const report = [];
+  const seen = {};
+  let cnt = 0;
+
+  rows.forEach((item, index) => {
+    const row = item.row ?? index + rowOffset;
+    const propertyId = String(item.propertyId ?? "").trim();
+    let reservationId = String(item.reservationId ?? "").trim();
+    let dateRange = null;
+    const issues = [];
+
+    if (!propertyId) {
+      issues.push("Missing Property ID");
+    }
+
+    if (item.dateRange) {
+      try {
+        dateRange = validateDateRange(item.dateRange);
+        reservationId = rangeKey(dateRange);
+      } catch (error) {
+        issues.push(`Invalid date range: ${error.message}`);
+      }
+    } else if (!reservationId) {
+      issues.push("Blank Reservation ID");
+    } else if (!/^\d+$/.test(reservationId)) {
+      issues.push("Non-numeric Reservation ID");
+    }
+
+    const key = `${propertyId}:${reservationId}`;
+    if (!issues.length && seen[key]) {
+      issues.push(`Duplicate of row ${seen[key]}`);
+    }
+
+    report.push({
+      ...(item.sheet ? { sheet: item.sheet } : {}),
+      row,
+      propertyId,
+      reservationId,
+      status: issues.length ? "skipped" : "ok",
+      issues,
+    });
+
+    if (issues.length) return;
+    seen[key] = item.sheet ? `${row} (${item.sheet})` : row;
+
+    if (!hashMap[propertyId]) {
+      hashMap[propertyId] = ++cnt;
+      hotels.push({ id: propertyId, idList: [], extras: {} });
+    }
+
+    const hotel = hotels[hashMap[propertyId] - 1];
+    hotel.idList.push(reservationId);
+    if (dateRange) {
+      hotel.dateRanges = { ...hotel.dateRanges, [reservationId]: dateRange };
+    }
+    if (item.extras && Object.keys(item.extras).length) {
+      hotel.extras[reservationId] = item.extras;
+    }
+  });
+
+  const accepted = report.filter((r) => r.status === "ok").length;
+
+  return {
+    hotels,
+    report,
+    summary: {
+      totalRows: report.length,
+      accepted,
+      skipped: report.length - accepted,
+      properties: hotels.length,
+    },
+  };
+};
+
+// Map a JSON body to rows: { propertyId, reservationIds } and/or
+// { propertyId, dateRanges: [{ from, to, dateType }] }, or an array of them
+const rowsFromJson = (body) => {
+  const entries = Array.isArray(body) ? body : [body];
+  const rows = [];
+
+  for (const entry of entries) {
+    const hasIds = Array.isArray(entry?.reservationIds);
+    const hasRanges = Array.isArray(entry?.dateRanges);
+    if (!hasIds && !hasRanges) {
+      throw new Error(
+        "Each entry needs a propertyId and a reservationIds or dateRanges array"
+      );
+    }
+
+    for (const reservationId of hasIds ? entry.reservationIds : []) {
+      rows.push({ propertyId: entry.propertyId, reservationId });
+    }
+    for (const dateRange of hasRanges ? entry.dateRanges : []) {
+      rows.push({ propertyId: entry.propertyId, dateRange: dateRange || {} });
+    }
+  }
+
+  return rows;
+};
+
+// Store an input (and its uploaded file) under a new ID once it has rows to
+// scrape. A rejected input comes back with `id: null` and its report, and
+// leaves nothing on disk.
+const saveInput = (input, file = null) => {
+  if (input.summary.accepted === 0) return input;
+
+  const id = crypto.randomUUID();
+  if (file) fs.writeFileSync(path.join(INPUTS_DIR, `${id}${file.extension}`), file.buffer);
+
+  const saved = { ...input, id };
+  fs.writeFileSync(inputPath(id), JSON.stringify(saved, null, 2));
+  return saved;
+};
+
+// Validate an uploaded xlsx/csv file; stored with its report when accepted
+const createInputFromFile = (buffer, originalName, mapping = DEFAULT_MAPPING) => {
+  const extension = path.extname(originalName || "").toLowerCase();
+  if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+    throw new Error(
+      `Unsupported file type "${extension}". Use ${SUPPORTED_EXTENSIONS.join(", ")}`
+    );
+  }
+
+  const workbook = xlsx.read(buffer, { type: "buffer" });
+  const { rows, sheets, ignoredSheets } = readWorkbookRows(workbook, mapping);
+  const { hotels, report, summary } = buildHotels(rows);
+
+  return saveInput(
+    {
+      id: null,
+      source: "file",
+      fileName: originalName,
+      mapping: mapping.name,
+      passthrough: mapping.passthrough,
+      createdAt: new Date().toISOString(),
+      summary: { ...summary, sheets, ignoredSheets },
+      report,
+      hotels,
+    },
+    { buffer, extension }
+  );
+};
+
+// Validate a JSON input; stored with its report when accepted
+const createInputFromJson = (body) => {
+  const { hotels, report, summary } = buildHotels(rowsFromJson(body));
+
+  return saveInput({
+    id: null,
+    source: "json",
+    fileName: null,
+    mapping: null,
+    passthrough: [],
+    createdAt: new Date().toISOString(),
+    summary,
+    report,
+    hotels,
+  });
+};
+
+const getInput = (id) => {
+  // IDs are UUIDs, anything else can't name a stored input
+  if (!/^[0-9a-f-]{36}$/i.test(String(id))) return null;
+  if (!fs.existsSync(inputPath(id))) return null;
+  return JSON.parse(fs.readFileSync(inputPath(id), "utf8"));
+};
+
+const listInputs = () =>
+  fs
+    .readdirSync(INPUTS_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => {
+      const { id, source, fileName, mapping, createdAt, summary } = JSON.parse(
+        fs.readFileSync(path.join(INPUTS_DIR, file), "utf8")
+      );
+      return { id, source, fileName, mapping, createdAt, summary };
+    })
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+// Legacy input: the workbook sitting in the working directory
+const getDataFromSheet = (file = "testing-1.xlsx", mapping = DEFAULT_MAPPING) => {
+  try {
+    const { rows } = readWorkbookRows(xlsx.readFile(file), mapping);
+
+    if (rows.length === 0) {
+      console.error("No data found in the sheet or invalid format");
+      return [];
+    }
+
+    const { hotels, report } = buildHotels(rows);
+    for (const entry of report) {
+      if (entry.status === "skipped") {
+        console.warn(`Skipping row ${entry.row}: ${entry.issues.join(", ")}`);
+      }
+    }
+
+    console.log("Processed Hotels:", hotels);
+    return hotels;
+  } catch (error) {
+    console.error("Error reading sheet:", error);
+    return [];
+  }
+};
+
+export {
+  createInputFromFile,
+  createInputFromJson,
+  getDataFromSheet,
+  getInput,
+  listInputs,
+};
@@ -0,0 +1,294 @@
+import crypto from "crypto";
+import { EventEmitter } from "events";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { closeBrowser } from "./browser-profiles.js";
+import logger from "./logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const JOBS_PATH = path.join(__dirname, "jobs.json");
+
+// Scrape runs share one Gmail inbox for 2FA, so jobs run one at a time
+const jobs = new Map();
+const queue = [];
+let activeJob = null;
+
+// Typed progress events for every job: { type, jobId, at, ...payload }
+const jobEvents = new EventEmitter();
+
+// Public view of a job, without the browser handle or abort controller
+const serializeJob = (job) => ({
+  id: job.id,
+  state: job.state,
+  params: job.params,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  progress: job.progress,
+  errors: job.errors,
+  skipped: job.skipped,
+  result: job.result,
+});
+
+const persistJobs = () => {
+  try {
+    const data = Array.from(jobs.values()).map(serializeJob);
+    fs.writeFileSync(JOBS_PATH, JSON.stringify({ jobs: data }, null, 2));
+  } catch (error) {
+    logger.error(`Error writing jobs file: ${error.message}`);
+  }
+};
+
+// Reload finished jobs from the last server run; anything still marked
+// queued, running or paused died with the process
+const loadJobs = () => {
+  if (!fs.existsSync(JOBS_PATH)) return;
+
+  try {
+    const data = JSON.parse(fs.readFileSync(JOBS_PATH, "utf8"));
+    for (const saved of data.jobs || []) {
+      const job = { skipped: [], ...saved };
+      if (["queued", "running", "paused"].includes(job.state)) {
+        job.state = "failed";
+        job.finishedAt = job.finishedAt || new Date().toISOString();
+        job.errors = [
+          ...job.errors,
+          { at: job.finishedAt, message: "Server stopped before the job finished" },
+        ];
+      }
+      jobs.set(job.id, job);
+    }
+  } catch (error) {
+    logger.error(`Error reading jobs file: ${error.message}`);
+  }
+};
+
+loadJobs();
+
+// Runtime helpers handed to the scraper as `options.job`
+const attachRuntime = (job, runner) => {
+  const controller = new AbortController();
+  let resumePaused = null;
+  let pausedUntil = null;
+  const skipRequests = new Set();
+
+  return Object.assign(job, {
+    runner,
+    controller,
+    browser: null,
+    attachBrowser(browser) {
+      job.browser = browser;
+    },
+    emit(type, payload = {}) {
+      jobEvents.emit("event", {
+        type,
+        jobId: job.id,
+        at: new Date().toISOString(),
+        ...payload,
+      });
+    },
+    // Pausing takes effect the next time the scraper calls waitIfPaused,
+    // which it does between reservations and properties
+    pause() {
+      if (job.state !== "running") return false;
+      pausedUntil = new Promise((resolve) => {
+        resumePaused = resolve;
+      });
+      job.state = "paused";
+      persistJobs();
+      job.emit("paused");
+      return true;
+    },
+    resume() {
+      if (job.state !== "paused") return false;
+      job.state = "running";
+      resumePaused();
+      pausedUntil = null;
+      persistJobs();
+      job.emit("resumed");
+      return true;
+    },
+    async waitIfPaused() {
+      if (pausedUntil) await pausedUntil;
+      controller.signal.throwIfAborted();
+    },
+    // With no property ID every property currently being worked on is skipped
+    skipProperty(propertyId) {
+      const targets = propertyId
+        ? [String(propertyId)]
+        : job.progress.activeProperties || [];
+      targets.forEach((id) => skipRequests.add(String(id)));
+      return targets;
+    },
+    // True once for each skip request, so the property is only dropped once
+    consumeSkip(propertyId) {
+      return skipRequests.delete(String(propertyId));
+    },
+    update(patch) {
+      job.progress = { ...job.progress, ...patch };
+      persistJobs();
+    },
+    recordError(message, context = {}) {
+      job.errors.push({ at: new Date().toISOString(), message, ...context });
+      persistJobs();
+    },
+    // A reservation given up on after its retries:
+    // { propertyId, reservationId, kind, attempts, message }
+    recordSkip(entry) {
+      job.skipped.push({ at: new Date().toISOString(), ...entry });
+      persistJobs();
+      job.emit("reservation-skipped", entry);
+    },
+    isCancelled() {
+      return controller.signal.aborted;
+    },
+    throwIfCancelled() {
+      controller.signal.throwIfAborted();
+    },
+    // Let a paused job unwind when it's cancelled
+    releasePause() {
+      if (resumePaused) resumePaused();
+      pausedUntil = null;
+    },
+  });
+};
+
+const finishJob = async (job, state, result = null) => {
+  job.state = state;
+  job.finishedAt = new Date().toISOString();
+  job.result = result;
+
+  if (job.browser) {
+    try {
+      await closeBrowser(job.browser);
+    } catch (error) {
+      logger.warn(`Could not close browser for job ${job.id}: ${error.message}`);
+    }
+    job.browser = null;
+  }
+
+  persistJobs();
+  job.emit("finished", {
+    state,
+    result,
+    progress: job.progress,
+    errors: job.errors.length,
+    skipped: job.skipped.length,
+  });
+};
+
+const runNext = async () => {
+  if (activeJob || queue.length === 0) return;
+
+  const job = queue.shift();
+  activeJob = job;
+  job.state = "running";
+  job.startedAt = new Date().toISOString();
+  persistJobs();
+  logger.info(`Job ${job.id} started`);
+  job.emit("started", { params: job.params });
+
+  try {
+    const result = await job.runner(job);
+    if (job.isCancelled()) {
+      await finishJob(job, "cancelled");
+    } else {
+      await finishJob(job, "completed", result || null);
+      logger.info(`Job ${job.id} completed`);
+    }
+  } catch (error) {
+    if (job.isCancelled()) {
+      await finishJob(job, "cancelled");
+      logger.info(`Job ${job.id} cancelled`);
+    } else {
+      job.errors.push({ at: new Date().toISOString(), message: error.message });
+      await finishJob(job, "failed");
+      logger.error(`Job ${job.id} failed: ${error.message}`);
+    }
+  } finally {
+    activeJob = null;
+    runNext();
+  }
+};
+
+// Queue a scrape run. `params` is stored with the job and must not contain
+// secrets; `runner(job)` does the work and resolves with the job result.
+const createJob = (params, runner) => {
+  const job = attachRuntime(
+    {
+      id: crypto.randomUUID(),
+      state: "queued",
+      params,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      progress: {
+        currentProperty: null,
+        propertiesDone: 0,
+        propertiesTotal: 0,
+        reservationsProcessed: 0,
+        totalResults: 0,
+        reservationsScraped: 0,
+      },
+      errors: [],
+      skipped: [],
+      result: null,
+    },
+    runner
+  );
+
+  jobs.set(job.id, job);
+  queue.push(job);
+  persistJobs();
+  runNext();
+  return job;
+};
+
+const getJob = (id) => jobs.get(id) || null;
+
+// The job currently holding the browser, if any
+const getActiveJob = () => activeJob;
+
+const listJobs = () =>
+  Array.from(jobs.values()).sort((a, b) =>
+    b.createdAt.localeCompare(a.createdAt)
+  );
+
+// Cancel a queued or running job. Closing the browser makes any pending
+// Puppeteer call reject, so the scraper unwinds right away.
+const cancelJob = async (id) => {
+  const job = jobs.get(id);
+  if (!job) return null;
+  if (!["queued", "running", "paused"].includes(job.state)) return job;
+
+  job.controller.abort(new Error("Job cancelled"));
+  job.releasePause();
+
+  if (job.state === "queued") {
+    queue.splice(queue.indexOf(job), 1);
+    await finishJob(job, "cancelled");
+  } else if (job.browser) {
+    try {
+      await closeBrowser(job.browser);
+    } catch (error) {
+      logger.warn(`Could not close browser for job ${job.id}: ${error.message}`);
+    }
+    job.browser = null;
+  }
+
+  logger.info(`Cancellation requested for job ${job.id}`);
+  return job;
+};
+
+export {
+  cancelJob,
+  createJob,
+  getActiveJob,
+  getJob,
+  jobEvents,
+  listJobs,
+  serializeJob,
+};
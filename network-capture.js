@@ -0,0 +1,275 @@
+// Network capture mode: read reservations from the JSON Partner Central's
+// pages load over XHR/fetch instead of from the rendered DOM.
+//
+// Any JSON response is searched for objects carrying a reservation ID. Their
+// table fields become the reservation's row; card, payment and detail
+// sections become its detail record. Field names vary between endpoints, so
+// each field lists the keys it may appear under, like the header aliases of
+// a column mapping.
+
+const CAPTURE_MODES = ["dom", "network"];
+
+const ROW_FIELDS = {
+  reservationId: ["reservationId", "reservationItemId", "bookingItemId"],
+  guestName: ["guestName", "primaryGuestName", "travelerName"],
+  confirmationCode: ["confirmationCode", "confirmationNumber", "hotelConfirmationCode"],
+  checkInDate: ["checkInDate", "checkIn", "arrivalDate"],
+  checkOutDate: ["checkOutDate", "checkOut", "departureDate"],
+  roomType: ["roomType", "roomTypeName"],
+  bookingAmount: ["bookingAmount", "bookingTotal", "totalAmount"],
+  bookedDate: ["bookedDate", "bookingDate", "bookedOn"],
+};
+
+const SECTIONS = {
+  card: ["card", "virtualCard", "evc"],
+  payment: ["payment", "paymentSummary", "payout"],
+  details: ["details", "reservationDetails", "guestDetails"],
+};
+
+const CARD_FIELDS = {
+  cardNumber: ["cardNumber", "number"],
+  expiryDate: ["expiryDate", "expiry", "expirationDate"],
+  cvv: ["cvv", "securityCode"],
+  status: ["status", "cardStatus"],
+  balance: ["remainingBalance", "balance"],
+  transactions: ["transactions", "cardTransactions", "activity"],
+};
+
+const PAYMENT_FIELDS = {
+  totalGuestPayment: ["totalGuestPayment", "guestPayment"],
+  cancellationFee: ["cancellationFee"],
+  expediaCompensation: ["expediaCompensation", "compensation"],
+  totalPayout: ["totalPayout", "payout"],
+  remainingAmountToCharge: ["remainingAmountToCharge", "amountToCharge"],
+  amountToRefund: ["amountToRefund", "refundAmount"],
+};
+
+const DETAIL_FIELDS = {
+  guestEmail: ["guestEmail", "email"],
+  guestPhone: ["guestPhone", "phone"],
+  adults: ["adults", "adultCount"],
+  children: ["children", "childCount"],
+  ratePlan: ["ratePlan", "ratePlanName"],
+  taxes: ["taxes", "taxAmount"],
+  specialRequests: ["specialRequests", "specialRequest"],
+  cancellationPolicy: ["cancellationPolicy"],
+  bookingSource: ["bookingSource", "source", "brand"],
+  nightlyRates: ["nightlyRates", "rates", "nightlyRateLines"],
+};
+
+const TRANSACTION_FIELDS = {
+  date: ["date", "transactionDate", "postedDate"],
+  type: ["type", "transactionType"],
+  description: ["description", "merchant"],
+  amount: ["amount"],
+  status: ["status"],
+};
+
+const isObject = (value) => value && typeof value === "object" && !Array.isArray(value);
+
+// First alias present on `source`, or undefined
+const pick = (source, aliases) => {
+  const key = aliases.find((alias) => source[alias] !== undefined && source[alias] !== null);
+  return key === undefined ? undefined : source[key];
+};
+
+const asText = (value) => (value === undefined || value === null ? "" : String(value));
+
+const pickFields = (source, fields) =>
+  Object.fromEntries(
+    Object.entries(fields).map(([name, aliases]) => [name, pick(source, aliases)])
+  );
+
+// Every object in a payload that names a reservation
+const findRecords = (value, found = []) => {
+  if (Array.isArray(value)) {
+    value.forEach((item) => findRecords(item, found));
+  } else if (isObject(value)) {
+    if (pick(value, ROW_FIELDS.reservationId) !== undefined) found.push(value);
+    else Object.values(value).forEach((item) => findRecords(item, found));
+  }
+  return found;
+};
+
+// Table columns of a record, or null when it has none besides the ID
+const toRow = (record) => {
+  const row = Object.fromEntries(
+    Object.entries(pickFields(record, ROW_FIELDS)).map(([name, value]) => [name, asText(value)])
+  );
+  const hasColumns = Object.entries(row).some(
+    ([name, value]) => name !== "reservationId" && value
+  );
+  return hasColumns ? row : null;
+};
+
+// Card, payment and detail sections of a record, shaped like the DOM
+// extractors' results; null when it has none of them
+const toDetail = (record) => {
+  const card = pick(record, SECTIONS.card);
+  const payment = pick(record, SECTIONS.payment);
+  const details = pick(record, SECTIONS.details);
+  if (!isObject(card) && !isObject(payment) && !isObject(details)) return null;
+
+  const cardFields = isObject(card) ? pickFields(card, CARD_FIELDS) : null;
+  const paymentFields = isObject(payment) ? pickFields(payment, PAYMENT_FIELDS) : {};
+  const detailFields = isObject(details) ? pickFields(details, DETAIL_FIELDS) : null;
+
+  const count = (value) => (value === undefined || value === "" ? null : Number(value));
+
+  return {
+    status: asText(cardFields?.status) || "None",
+    card: cardFields?.cardNumber
+      ? {
+          cardNumber: asText(cardFields.cardNumber),
+          expiryDate: asText(cardFields.expiryDate),
+          cvv: asText(cardFields.cvv),
+          additionalText: "",
+        }
+      : null,
+    payment:
+      paymentFields.cancellationFee !== undefined ||
+      paymentFields.expediaCompensation !== undefined ||
+      paymentFields.totalPayout !== undefined
+        ? {
+            totalGuestPayment: asText(paymentFields.totalGuestPayment),
+            cancellationFee: asText(paymentFields.cancellationFee),
+            expediaCompensation: asText(paymentFields.expediaCompensation),
+            totalPayout: asText(paymentFields.totalPayout),
+          }
+        : null,
+    remainingAmountToCharge: asText(paymentFields.remainingAmountToCharge),
+    amountToRefund: asText(paymentFields.amountToRefund),
+    details: detailFields && {
+      guestEmail: asText(detailFields.guestEmail),
+      guestPhone: asText(detailFields.guestPhone),
+      adults: count(detailFields.adults),
+      children: count(detailFields.children),
+      ratePlan: asText(detailFields.ratePlan),
+      taxes: asText(detailFields.taxes),
+      specialRequests: asText(detailFields.specialRequests),
+      cancellationPolicy: asText(detailFields.cancellationPolicy),
+      bookingSource: asText(detailFields.bookingSource),
+      nightlyRates: (Array.isArray(detailFields.nightlyRates) ? detailFields.nightlyRates : [])
+        .filter(isObject)
+        .map((line) => ({
+          date: asText(pick(line, ["date", "night", "stayDate"])),
+          amount: asText(pick(line, ["amount", "rate"])),
+        })),
+    },
+    // Input for summarizeCardActivity (card-activity.js); null when the
+    // payload has a card but no transaction list
+    cardActivity: Array.isArray(cardFields?.transactions)
+      ? {
+          balance: asText(cardFields.balance) || "N/A",
+          transactions: cardFields.transactions.filter(isObject).map((transaction) =>
+            Object.fromEntries(
+              Object.entries(pickFields(transaction, TRANSACTION_FIELDS)).map(
+                ([name, value]) => [name, asText(value)]
+              )
+            )
+          ),
+        }
+      : null,
+    hasCard: isObject(card),
+  };
+};
+
+// Collect reservation rows and detail records from `page`'s JSON responses
+// until stop() is called
+const createResponseCapture = (page) => {
+  const rows = new Map();
+  const details = new Map();
+  const waiters = new Map();
+  // URL the page loads one reservation's details from, with "{id}" in place
+  // of the reservation ID; learned from the first details response
+  let detailUrl = null;
+
+  const waitFor = (key, timeout) => {
+    if (details.has(key)) return Promise.resolve(details.get(key));
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        waiters.delete(key);
+        resolve(null);
+      }, timeout);
+      waiters.set(key, (detail) => {
+        clearTimeout(timer);
+        resolve(detail);
+      });
+    });
+  };
+
+  const onResponse = async (response) => {
+    if (!["xhr", "fetch"].includes(response.request().resourceType())) return;
+    if (!/json/i.test(response.headers()["content-type"] || "")) return;
+
+    let body;
+    try {
+      body = await response.json();
+    } catch (error) {
+      // Redirects and bodies the page already discarded can't be read
+      return;
+    }
+
+    const records = findRecords(body);
+    for (const record of records) {
+      const id = asText(pick(record, ROW_FIELDS.reservationId));
+      const row = toRow(record);
+      if (row) rows.set(id, { ...rows.get(id), ...row });
+
+      const detail = toDetail(record);
+      if (detail) {
+        details.set(id, detail);
+        waiters.get(id)?.(detail);
+        waiters.delete(id);
+
+        // The ID's last occurrence, so a port or host that contains it is kept
+        const url = response.url();
+        const at = url.lastIndexOf(encodeURIComponent(id));
+        if (!detailUrl && records.length === 1 && id && at !== -1) {
+          detailUrl = `${url.slice(0, at)}{id}${url.slice(at + encodeURIComponent(id).length)}`;
+        }
+      }
+    }
+  };
+
+  page.on("response", onResponse);
+
+  return {
+    row: (id) => rows.get(String(id)) || null,
+    detail: (id) => details.get(String(id)) || null,
+    // Resolves with the reservation's detail record once captured, or null
+    // after `timeout` ms
+    waitForDetail: (id, timeout = 8000) => waitFor(String(id), timeout),
+    // Request the reservation's details from the page the way its dialog
+    // does, without opening it. Resolves with the detail record, or null
+    // before the details URL is known or when the request fails.
+    async fetchDetail(id, timeout = 8000) {
+      const key = String(id);
+      if (details.has(key)) return details.get(key);
+      if (!detailUrl) return null;
+
+      const detail = waitFor(key, timeout);
+      const ok = await page
+        .evaluate(
+          (url) =>
+            fetch(url, { credentials: "include" })
+              .then((response) => response.ok)
+              .catch(() => false),
+          detailUrl.replace("{id}", encodeURIComponent(key))
+        )
+        .catch(() => false);
+      if (!ok) {
+        waiters.get(key)?.(null);
+        waiters.delete(key);
+      }
+      return detail;
+    },
+    stop() {
+      page.off("response", onResponse);
+      for (const resolve of waiters.values()) resolve(null);
+      waiters.clear();
+    },
+  };
+};
+
+export { CAPTURE_MODES, createResponseCapture, findRecords, toDetail, toRow };
@@ -0,0 +1,139 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import logger from "./logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Local overrides: { "<profile>": { keystrokeMs, thinkMs, settleMs } }
+// replaces those settings of a built-in profile or adds a new one
+const OVERRIDES_PATH = path.join(__dirname, process.env.PACING_FILE || "pacing.json");
+
+// How human the scraper looks. Waits for the page itself are condition-based
+// (page-conditions.js); these only add the jitter a person would:
+// keystrokeMs [min, max] between typed characters, thinkMs [min, max]
+// between actions, and settleMs the results table must stay unchanged before
+// it counts as loaded.
+const DEFAULT_PROFILES = {
+  careful: { keystrokeMs: [120, 220], thinkMs: [800, 2500], settleMs: 800 },
+  normal: { keystrokeMs: [40, 120], thinkMs: [250, 900], settleMs: 400 },
+  fast: { keystrokeMs: [0, 15], thinkMs: [0, 100], settleMs: 200 },
+};
+
+let profiles = null;
+
+// Run pacers by page, and the one for pages no run attached
+const pacers = new WeakMap();
+let fallback = null;
+
+const isRange = (value) =>
+  Array.isArray(value) &&
+  value.length === 2 &&
+  value.every((ms) => Number.isFinite(ms) && ms >= 0) &&
+  value[0] <= value[1];
+
+// Built-in profiles with overrides applied. Cached for the process.
+const getPacingProfiles = () => {
+  if (profiles) return profiles;
+
+  const merged = structuredClone(DEFAULT_PROFILES);
+  if (fs.existsSync(OVERRIDES_PATH)) {
+    const overrides = JSON.parse(fs.readFileSync(OVERRIDES_PATH, "utf8"));
+    for (const [name, settings] of Object.entries(overrides)) {
+      merged[name] = { ...(merged[name] || DEFAULT_PROFILES.normal), ...settings };
+    }
+    logger.info(`Loaded pacing overrides from ${path.basename(OVERRIDES_PATH)}`);
+  }
+
+  for (const [name, { keystrokeMs, thinkMs, settleMs }] of Object.entries(merged)) {
+    if (!isRange(keystrokeMs) || !isRange(thinkMs) || !(settleMs >= 0)) {
+      throw new Error(`Pacing profile "${name}" needs keystrokeMs and thinkMs [min, max] and settleMs`);
+    }
+  }
+  profiles = merged;
+  return profiles;
+};
+
+// Profile name for a run: the requested one, else PACING_PROFILE, else "normal"
+const pacingProfileFor = (requested) => {
+  const name = requested || process.env.PACING_PROFILE || "normal";
+  if (!getPacingProfiles()[name]) {
+    throw new Error(`pacing must be one of ${Object.keys(getPacingProfiles()).join(", ")}`);
+  }
+  return name;
+};
+
+const between = ([min, max]) => Math.round(min + Math.random() * (max - min));
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Pacing for one run: jittered pauses and typing from the named profile, and
+// how long each named step took. Pages opened for the run are attached so
+// code that only has the page can find the run's pacer (pacerFor).
+const createPacer = (name) => {
+  const profileName = pacingProfileFor(name);
+  const settings = getPacingProfiles()[profileName];
+  const steps = new Map();
+
+  const pacer = {
+    name: profileName,
+    settleMs: settings.settleMs,
+    think: () => sleep(between(settings.thinkMs)),
+    // Type into a selector or element handle one key at a time
+    async type(page, target, text) {
+      const element = typeof target === "string" ? await page.$(target) : target;
+      if (!element) throw new Error(`Nothing to type into at ${target}`);
+      for (const char of String(text)) {
+        await element.type(char);
+        await sleep(between(settings.keystrokeMs));
+      }
+    },
+    // Run `step` and add its duration to `label`'s timings, failed or not
+    async time(label, step) {
+      const started = Date.now();
+      try {
+        return await step();
+      } finally {
+        const elapsed = Date.now() - started;
+        const timing = steps.get(label) || { count: 0, totalMs: 0, maxMs: 0 };
+        timing.count += 1;
+        timing.totalMs += elapsed;
+        timing.maxMs = Math.max(timing.maxMs, elapsed);
+        steps.set(label, timing);
+      }
+    },
+    // { label: { count, totalMs, avgMs, maxMs } }, slowest total first
+    timings() {
+      return Object.fromEntries(
+        [...steps.entries()]
+          .sort(([, a], [, b]) => b.totalMs - a.totalMs)
+          .map(([label, timing]) => [
+            label,
+            { ...timing, avgMs: Math.round(timing.totalMs / timing.count) },
+          ])
+      );
+    },
+    attach(page) {
+      pacers.set(page, pacer);
+    },
+  };
+  return pacer;
+};
+
+// The pacer `page` was attached to, else one for PACING_PROFILE
+const pacerFor = (page) => {
+  if (pacers.has(page)) return pacers.get(page);
+  fallback ??= createPacer();
+  return fallback;
+};
+
+// One log line per step, slowest first
+const logTimings = (timings) => {
+  const lines = Object.entries(timings).map(
+    ([label, { count, totalMs, avgMs, maxMs }]) =>
+      `${label}: ${count}x, ${(totalMs / 1000).toFixed(1)}s total, avg ${avgMs}ms, max ${maxMs}ms`
+  );
+  if (lines.length > 0) logger.info(`Step timings:\n  ${lines.join("\n  ")}`);
+};
+
+export { createPacer, getPacingProfiles, logTimings, pacerFor, pacingProfileFor };
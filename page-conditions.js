@@ -0,0 +1,117 @@
+// Waits for concrete page states instead of fixed sleeps. Every predicate
+// runs in the page through waitForFunction and only uses the `__select`
+// registry helpers (selectors.js).
+
+// Fingerprint of the reservations results: count label, result-cap banner
+// and row text. Installed on the page so the snapshot and the wait compare
+// the same thing; a navigation drops it, so both re-install it.
+const installResultsSignature = (page) =>
+  page.evaluate(() => {
+    window.__resultsSignature = () =>
+      [
+        __select.one("reservations.resultCount")?.textContent.trim() || "",
+        __select.one("reservations.tooManyResults") ? "capped" : "",
+        ...__select.all("reservations.row").map((row) => row.textContent.trim()),
+      ].join("\n");
+  });
+
+// Current results fingerprint, taken before a search or page change
+const resultsSnapshot = async (page) => {
+  await installResultsSignature(page);
+  return page.evaluate(() => window.__resultsSignature());
+};
+
+// Resolve once the results differ from `before` and have stayed unchanged for
+// `settleMs`. A search can legitimately show what was already there, so an
+// unchanged table also counts once it has been quiet for `sameMs`.
+const waitForResults = async (
+  page,
+  before,
+  { settleMs, sameMs = settleMs * 4, timeout = 30000 }
+) => {
+  await installResultsSignature(page);
+  await page.evaluate(() => {
+    window.__resultsWatch = null;
+  });
+  await page.waitForFunction(
+    (previous, settle, same) => {
+      const signature = window.__resultsSignature();
+      const now = Date.now();
+      const watch = window.__resultsWatch;
+      if (!watch || watch.signature !== signature) {
+        window.__resultsWatch = { signature, since: now };
+        return false;
+      }
+      return now - watch.since >= (signature === previous ? same : settle);
+    },
+    { polling: 100, timeout },
+    before,
+    settleMs,
+    sameMs
+  );
+};
+
+// Details dialog open with its card, payment or details sections rendered
+const waitForDialogContent = (page, timeout = 8000) =>
+  page.waitForFunction(
+    () =>
+      !!__select.one("dialog.content") &&
+      !!(
+        __select.one("card.base") ||
+        __select.one("payment.summary") ||
+        __select.one("details.section")
+      ),
+    { polling: 100, timeout }
+  );
+
+const waitForDialogClosed = (page, timeout = 5000) =>
+  page.waitForFunction(() => !__select.one("dialog.root"), { polling: 100, timeout });
+
+// Home page property search narrowed to a row for `propertyId`
+const waitForPropertyRow = (page, propertyId, timeout = 10000) =>
+  page.waitForFunction(
+    (searchId) =>
+      __select
+        .all("home.propertyRow")
+        .some((row) => __select.one("home.propertyId", row)?.textContent.includes(searchId)),
+    { polling: 100, timeout },
+    String(propertyId)
+  );
+
+// Card activity tab showing its balance or transaction list
+const waitForCardActivity = (page, timeout = 15000) =>
+  page.waitForFunction(
+    () => !!(__select.one("cardActivity.balance") || __select.one("cardActivity.transaction")),
+    { polling: 100, timeout }
+  );
+
+// Input at `selector` enabled and accepting text
+const waitForInputReady = (page, selector, timeout = 10000) =>
+  page.waitForFunction(
+    (inputSelector) => {
+      const input = document.querySelector(inputSelector);
+      return !!input && !input.disabled && !input.readOnly;
+    },
+    { polling: 100, timeout },
+    selector
+  );
+
+// Input at `selector` holding exactly `length` characters
+const waitForInputLength = (page, selector, length, timeout = 2000) =>
+  page.waitForFunction(
+    (inputSelector, expected) => document.querySelector(inputSelector)?.value.length === expected,
+    { polling: 100, timeout },
+    selector,
+    length
+  );
+
+export {
+  resultsSnapshot,
+  waitForCardActivity,
+  waitForDialogClosed,
+  waitForDialogContent,
+  waitForInputLength,
+  waitForInputReady,
+  waitForPropertyRow,
+  waitForResults,
+};
@@ -0,0 +1,187 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import logger from "./logger.js";
+import { resolveLaunchProfile } from "./browser-profiles.js";
+import { decryptSecret, encryptSecret, isEncrypted } from "./secrets.js";
+import {
+  SECRET_FIELDS,
+  mergeProviderConfig,
+  publicProviderConfig,
+  validateProviderConfig,
+} from "./verification-providers.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROFILES_PATH = path.join(__dirname, "profiles.json");
+
+// Keyed by user-supplied names, so without a prototype: "__proto__" or
+// "toString" are profile names like any other
+const readProfiles = () => {
+  const profiles = Object.create(null);
+  if (!fs.existsSync(PROFILES_PATH)) return profiles;
+  return Object.assign(profiles, JSON.parse(fs.readFileSync(PROFILES_PATH, "utf8")));
+};
+
+const findProfile = (profiles, name) =>
+  Object.hasOwn(profiles, name) ? profiles[name] : null;
+
+const writeProfiles = (profiles) => {
+  fs.writeFileSync(PROFILES_PATH, JSON.stringify(profiles, null, 2));
+};
+
+// Apply `transform` to the password and verification secrets of a profile
+const mapSecrets = (profile, transform) => {
+  const verification = { ...profile.verification };
+  for (const field of SECRET_FIELDS) {
+    if (field in verification) verification[field] = transform(verification[field]);
+  }
+  return {
+    ...profile,
+    password: transform(profile.password),
+    ...(profile.verification ? { verification } : {}),
+  };
+};
+
+// profiles.json only ever holds encrypted secrets (see secrets.js)
+const encryptProfile = (profile) => mapSecrets(profile, encryptSecret);
+const decryptProfile = (profile) => profile && mapSecrets(profile, decryptSecret);
+
+// Encrypt secrets saved before the store was encrypted, once the key is set
+const migrateProfiles = () => {
+  const profiles = readProfiles();
+  const plain = Object.values(profiles).filter(
+    (profile) => !isEncrypted(profile.password)
+  );
+  if (plain.length === 0) return;
+
+  if (!process.env.CREDENTIALS_KEY) {
+    logger.warn(
+      `profiles.json holds ${plain.length} unencrypted profile(s); set CREDENTIALS_KEY to encrypt them`
+    );
+    return;
+  }
+
+  for (const profile of plain) profiles[profile.name] = encryptProfile(profile);
+  writeProfiles(profiles);
+  logger.info(`Encrypted credentials of ${plain.length} profile(s)`);
+};
+
+// API view of a profile; the password and provider secrets never leave the server
+const publicProfile = ({ password, ...profile }) => ({
+  ...profile,
+  verification: publicProviderConfig(profile.verification),
+  hasPassword: !!password,
+});
+
+// Check and normalise a profile body:
+// { name, email, password, mailbox, properties[], verification, browser }
+// `mailbox` names the Gmail token used for this account's 2FA codes.
+// `verification` picks the passcode provider, e.g. { type: "totp", secret }.
+// `properties` lists the property IDs this login can see.
+// `browser` names the launch profile for this account (browser-profiles.js).
+const validateProfile = (body = {}, existing = null) => {
+  const name = String(body.name ?? "").trim();
+  if (!/^[\w-]+$/.test(name)) {
+    throw new Error("Profile name may only contain letters, digits, _ and -");
+  }
+  if (name === "default") {
+    throw new Error('"default" is reserved for the EMAIL/PASSWORD environment login');
+  }
+
+  const email = String(body.email ?? existing?.email ?? "").trim();
+  if (!email) throw new Error("Email is required");
+
+  // Updates may leave the password out to keep the stored one
+  const password = body.password || existing?.password;
+  if (!password) throw new Error("Password is required");
+
+  const mailbox = String(body.mailbox || existing?.mailbox || "default").trim();
+  if (!/^[\w-]+$/.test(mailbox)) {
+    throw new Error("Mailbox name may only contain letters, digits, _ and -");
+  }
+
+  const properties = (body.properties ?? existing?.properties ?? []).map((id) =>
+    String(id).trim()
+  );
+
+  const verification = validateProviderConfig(
+    mergeProviderConfig(existing?.verification, body.verification)
+  );
+
+  // null clears it, so the account follows the run or BROWSER_PROFILE
+  const browser = body.browser === undefined ? existing?.browser || null : body.browser || null;
+  if (browser) resolveLaunchProfile(browser);
+
+  return {
+    name,
+    email,
+    password,
+    mailbox,
+    properties: properties.filter(Boolean),
+    verification,
+    browser,
+  };
+};
+
+// Returns the saved profile with its secrets still encrypted
+const saveProfile = (body) => {
+  const profiles = readProfiles();
+  const existing = findProfile(profiles, String(body?.name ?? "").trim());
+  const profile = validateProfile(body, decryptProfile(existing));
+
+  profiles[profile.name] = encryptProfile({
+    ...profile,
+    createdAt: existing?.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  });
+  writeProfiles(profiles);
+  return profiles[profile.name];
+};
+
+// Profile with its password and secrets decrypted, for signing in
+const getProfile = (name) => decryptProfile(findProfile(readProfiles(), name));
+
+// Profiles as stored, secrets encrypted; enough for listings and assignHotels
+const listProfiles = () => Object.values(readProfiles());
+
+const deleteProfile = (name) => {
+  const profiles = readProfiles();
+  if (!findProfile(profiles, name)) return false;
+  delete profiles[name];
+  writeProfiles(profiles);
+  return true;
+};
+
+// Split input hotels between profiles: a hotel goes to the first profile that
+// lists its property ID; a profile with no property list takes whatever is
+// left. Returns hotels tagged with `account` plus the IDs no profile claimed.
+const assignHotels = (hotels, profiles) => {
+  const catchAll = profiles.find((profile) => profile.properties.length === 0);
+  const assigned = [];
+  const unassigned = [];
+
+  for (const item of hotels) {
+    const owner =
+      profiles.find((profile) => profile.properties.includes(String(item.id))) ||
+      catchAll;
+    if (owner) {
+      assigned.push({ ...item, account: owner.name });
+    } else {
+      unassigned.push(String(item.id));
+    }
+  }
+
+  return { hotels: assigned, unassigned };
+};
+
+export {
+  assignHotels,
+  deleteProfile,
+  getProfile,
+  listProfiles,
+  migrateProfiles,
+  publicProfile,
+  saveProfile,
+};
@@ -0,0 +1,65 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Reservations page URL of each property, learned the first time the scraper
+// finds it through the home page search. Keyed by property ID; `origin` is
+// the Partner Central host it was learned on, so switching to the simulator
+// (or back) doesn't reuse the other host's URLs.
+const PROPERTY_URLS_PATH = path.join(__dirname, "property-urls.json");
+
+const readUrls = () => {
+  if (!fs.existsSync(PROPERTY_URLS_PATH)) return {};
+  return JSON.parse(fs.readFileSync(PROPERTY_URLS_PATH, "utf8"));
+};
+
+const writeUrls = (urls) => {
+  fs.writeFileSync(PROPERTY_URLS_PATH, JSON.stringify(urls, null, 2));
+};
+
+// { url, propertyName, origin, learnedAt } for the property, or null when
+// none was learned on `origin`
+const getPropertyUrl = (propertyId, origin) => {
+  const entry = readUrls()[String(propertyId)];
+  return entry && entry.origin === origin ? entry : null;
+};
+
+const savePropertyUrl = (propertyId, { url, propertyName }) => {
+  const urls = readUrls();
+  urls[String(propertyId)] = {
+    url,
+    propertyName: propertyName || null,
+    origin: new URL(url).origin,
+    learnedAt: new Date().toISOString(),
+  };
+  writeUrls(urls);
+  return urls[String(propertyId)];
+};
+
+const forgetPropertyUrl = (propertyId) => {
+  const urls = readUrls();
+  if (!urls[String(propertyId)]) return false;
+  delete urls[String(propertyId)];
+  writeUrls(urls);
+  return true;
+};
+
+const listPropertyUrls = () =>
+  Object.entries(readUrls()).map(([propertyId, entry]) => ({ propertyId, ...entry }));
+
+const clearPropertyUrls = () => {
+  const count = Object.keys(readUrls()).length;
+  writeUrls({});
+  return count;
+};
+
+export {
+  clearPropertyUrls,
+  forgetPropertyUrl,
+  getPropertyUrl,
+  listPropertyUrls,
+  savePropertyUrl,
+};
@@ -0,0 +1,110 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import logger from "./logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Local overrides: { "<kind>": { attempts, backoffMs, factor } } replaces
+// those settings for that kind of failure
+const OVERRIDES_PATH = path.join(
+  __dirname,
+  process.env.RETRY_POLICY_FILE || "retry-policy.json"
+);
+
+// How often a scraping step is tried for each kind of failure, and how long
+// to wait before the next try: backoffMs, multiplied by `factor` after every
+// failed try. An expired session can't be fixed by trying again in place.
+const DEFAULT_POLICY = {
+  navigationTimeout: { attempts: 3, backoffMs: 5000, factor: 2 },
+  selectorMissing: { attempts: 2, backoffMs: 2000, factor: 2 },
+  sessionExpired: { attempts: 1, backoffMs: 0, factor: 1 },
+  dialogStuck: { attempts: 3, backoffMs: 1500, factor: 2 },
+  unknown: { attempts: 2, backoffMs: 3000, factor: 2 },
+};
+
+const FAILURE_KINDS = Object.keys(DEFAULT_POLICY);
+
+let policy = null;
+
+// Defaults with overrides applied. Cached until reloadRetryPolicy() is called.
+const getRetryPolicy = () => {
+  if (policy) return policy;
+
+  policy = structuredClone(DEFAULT_POLICY);
+  if (fs.existsSync(OVERRIDES_PATH)) {
+    const overrides = JSON.parse(fs.readFileSync(OVERRIDES_PATH, "utf8"));
+    for (const [kind, settings] of Object.entries(overrides)) {
+      if (!policy[kind]) {
+        logger.warn(`Ignoring retry settings for unknown failure kind "${kind}"`);
+        continue;
+      }
+      policy[kind] = { ...policy[kind], ...settings };
+    }
+    logger.info(`Loaded retry policy overrides from ${path.basename(OVERRIDES_PATH)}`);
+  }
+  return policy;
+};
+
+const reloadRetryPolicy = () => {
+  policy = null;
+  return getRetryPolicy();
+};
+
+// Error tagged with the kind of failure, for failures the scraper detects itself
+const stepError = (kind, message) => Object.assign(new Error(message), { kind });
+
+// Kind of failure behind an error: its own tag, else read from Puppeteer's message
+const classifyError = (error) => {
+  if (FAILURE_KINDS.includes(error?.kind)) return error.kind;
+
+  const message = String(error?.message || "");
+  if (/Navigation timeout|net::ERR_|ERR_CONNECTION|frame was detached/i.test(message)) {
+    return "navigationTimeout";
+  }
+  if (/waiting for selector|waiting for function|No element found|not clickable|Node is detached/i.test(message)) {
+    return "selectorMissing";
+  }
+  return "unknown";
+};
+
+// Wait before the try after `attempt` failed tries
+const backoffFor = (kind, attempt) => {
+  const { backoffMs, factor } = getRetryPolicy()[kind];
+  return Math.round(backoffMs * factor ** (attempt - 1));
+};
+
+// Run `step` until it succeeds or its failure kind runs out of attempts.
+// `classify(error)` may refine the kind (e.g. spot a signed-out page);
+// `beforeRetry(kind, error)` runs before each new try. The final error is
+// thrown with `kind` and `attempts` set.
+const withRetry = async (label, step, { classify = classifyError, beforeRetry } = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await step(attempt);
+    } catch (error) {
+      const kind = (await classify(error)) || "unknown";
+      const { attempts } = getRetryPolicy()[kind];
+      if (attempt >= attempts) {
+        throw Object.assign(error, { kind, attempts: attempt });
+      }
+
+      const wait = backoffFor(kind, attempt);
+      logger.warn(
+        `${label} failed (${kind}, try ${attempt} of ${attempts}): ${error.message}; retrying in ${wait}ms`
+      );
+      await new Promise((resolve) => setTimeout(resolve, wait));
+      if (beforeRetry) await beforeRetry(kind, error);
+    }
+  }
+};
+
+export {
+  FAILURE_KINDS,
+  classifyError,
+  getRetryPolicy,
+  reloadRetryPolicy,
+  stepError,
+  withRetry,
+};
@@ -0,0 +1,185 @@
+import crypto from "crypto";
+import { CronExpressionParser } from "cron-parser";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { resolveLaunchProfile } from "./browser-profiles.js";
+import logger from "./logger.js";
+import { pacingProfileFor } from "./pacing.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SCHEDULES_PATH = path.join(__dirname, "schedules.json");
+
+// How often due schedules are checked
+const TICK_MS = 30 * 1000;
+
+// "skip": drop runs whose trigger time passed while the server was down
+// "run-once": start a single catch-up run on startup, however many were missed
+const MISSED_RUN_POLICIES = ["skip", "run-once"];
+
+const readSchedules = () => {
+  if (!fs.existsSync(SCHEDULES_PATH)) return [];
+  return JSON.parse(fs.readFileSync(SCHEDULES_PATH, "utf8")).schedules || [];
+};
+
+const writeSchedules = (schedules) => {
+  fs.writeFileSync(SCHEDULES_PATH, JSON.stringify({ schedules }, null, 2));
+};
+
+const nextRunAfter = (schedule, date = new Date()) =>
+  CronExpressionParser.parse(schedule.cron, {
+    currentDate: date,
+    ...(schedule.timezone ? { tz: schedule.timezone } : {}),
+  })
+    .next()
+    .toISOString();
+
+// Check and normalise a schedule body:
+// { name, cron, timezone, inputId, credentials, browser, pacing, output: { concurrency, directory, filePrefix }, missedRunPolicy }
+const validateSchedule = (body = {}) => {
+  const name = String(body.name ?? "").trim();
+  if (!name) throw new Error("Schedule name is required");
+
+  const cron = String(body.cron ?? "").trim();
+  try {
+    CronExpressionParser.parse(cron, body.timezone ? { tz: body.timezone } : {});
+  } catch (error) {
+    throw new Error(`Invalid cron expression "${cron}": ${error.message}`);
+  }
+
+  const missedRunPolicy = body.missedRunPolicy || "skip";
+  if (!MISSED_RUN_POLICIES.includes(missedRunPolicy)) {
+    throw new Error(
+      `missedRunPolicy must be one of ${MISSED_RUN_POLICIES.join(", ")}`
+    );
+  }
+
+  // Unknown names would only fail once the schedule triggers
+  if (body.browser) resolveLaunchProfile(body.browser);
+  if (body.pacing) pacingProfileFor(body.pacing);
+
+  const output = body.output || {};
+  const directory = output.directory ? path.normalize(output.directory) : null;
+  if (directory && (path.isAbsolute(directory) || directory.startsWith(".."))) {
+    throw new Error("output.directory must be a relative path inside the project");
+  }
+
+  return {
+    name,
+    cron,
+    timezone: body.timezone || null,
+    inputId: body.inputId || null,
+    credentials: body.credentials || "default",
+    browser: body.browser || null,
+    pacing: body.pacing || null,
+    output: {
+      concurrency: parseInt(output.concurrency, 10) || 1,
+      directory,
+      filePrefix: output.filePrefix || null,
+    },
+    missedRunPolicy,
+  };
+};
+
+const createSchedule = (body) => {
+  const schedule = {
+    id: crypto.randomUUID(),
+    ...validateSchedule(body),
+    paused: false,
+    createdAt: new Date().toISOString(),
+    lastRunAt: null,
+    lastJobId: null,
+    lastError: null,
+  };
+  schedule.nextRunAt = nextRunAfter(schedule);
+
+  writeSchedules([...readSchedules(), schedule]);
+  return schedule;
+};
+
+const listSchedules = () => readSchedules();
+
+const getSchedule = (id) =>
+  readSchedules().find((schedule) => schedule.id === id) || null;
+
+const updateSchedule = (id, patch) => {
+  const schedules = readSchedules();
+  const schedule = schedules.find((item) => item.id === id);
+  if (!schedule) return null;
+
+  Object.assign(schedule, patch);
+  writeSchedules(schedules);
+  return schedule;
+};
+
+const pauseSchedule = (id) => updateSchedule(id, { paused: true });
+
+// Resuming starts counting from now, so runs missed while paused never fire
+const resumeSchedule = (id) => {
+  const schedule = getSchedule(id);
+  if (!schedule) return null;
+  return updateSchedule(id, { paused: false, nextRunAt: nextRunAfter(schedule) });
+};
+
+const deleteSchedule = (id) => {
+  const schedules = readSchedules();
+  const remaining = schedules.filter((schedule) => schedule.id !== id);
+  if (remaining.length === schedules.length) return false;
+  writeSchedules(remaining);
+  return true;
+};
+
+const trigger = (schedule, runSchedule, reason) => {
+  const now = new Date();
+  const patch = { lastRunAt: now.toISOString(), nextRunAt: nextRunAfter(schedule, now) };
+
+  try {
+    const jobId = runSchedule(schedule);
+    logger.info(`Schedule "${schedule.name}" started job ${jobId} (${reason})`);
+    updateSchedule(schedule.id, { ...patch, lastJobId: jobId, lastError: null });
+  } catch (error) {
+    logger.error(`Schedule "${schedule.name}" could not start: ${error.message}`);
+    updateSchedule(schedule.id, { ...patch, lastError: error.message });
+  }
+};
+
+// Start checking schedules. `runSchedule(schedule)` queues the scrape job and
+// returns its ID. Runs that came due while the server was down are handled
+// by each schedule's missed-run policy before regular ticking starts.
+const startScheduler = (runSchedule) => {
+  const now = new Date();
+
+  for (const schedule of readSchedules()) {
+    if (schedule.paused || new Date(schedule.nextRunAt) > now) continue;
+
+    if (schedule.missedRunPolicy === "run-once") {
+      trigger(schedule, runSchedule, "missed run");
+    } else {
+      logger.warn(
+        `Schedule "${schedule.name}" missed its run at ${schedule.nextRunAt}, skipping`
+      );
+      updateSchedule(schedule.id, { nextRunAt: nextRunAfter(schedule, now) });
+    }
+  }
+
+  setInterval(() => {
+    const tickTime = new Date();
+    for (const schedule of readSchedules()) {
+      if (!schedule.paused && new Date(schedule.nextRunAt) <= tickTime) {
+        trigger(schedule, runSchedule, "scheduled");
+      }
+    }
+  }, TICK_MS);
+};
+
+export {
+  createSchedule,
+  deleteSchedule,
+  getSchedule,
+  listSchedules,
+  pauseSchedule,
+  resumeSchedule,
+  startScheduler,
+};
@@ -0,0 +1,47 @@
+import crypto from "crypto";
+
+// Stored credentials are AES-256-GCM encrypted with a key derived from
+// CREDENTIALS_KEY, as "enc:v1:<iv>:<auth tag>:<ciphertext>" in base64
+const PREFIX = "enc:v1:";
+
+const encryptionKey = () => {
+  const secret = process.env.CREDENTIALS_KEY;
+  if (!secret) {
+    throw new Error("CREDENTIALS_KEY must be set to store or read credentials");
+  }
+  return crypto.createHash("sha256").update(secret).digest();
+};
+
+const isEncrypted = (value) => typeof value === "string" && value.startsWith(PREFIX);
+
+const encryptSecret = (value) => {
+  if (value == null || isEncrypted(value)) return value;
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(String(value), "utf8"), cipher.final()]);
+  return (
+    PREFIX +
+    [iv, cipher.getAuthTag(), data].map((part) => part.toString("base64")).join(":")
+  );
+};
+
+// Values stored before encryption was introduced come back unchanged
+const decryptSecret = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const [iv, tag, data] = value
+    .slice(PREFIX.length)
+    .split(":")
+    .map((part) => Buffer.from(part, "base64"));
+  const key = encryptionKey();
+  try {
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+  } catch (error) {
+    throw new Error("Stored credentials could not be decrypted; check CREDENTIALS_KEY");
+  }
+};
+
+export { decryptSecret, encryptSecret, isEncrypted };
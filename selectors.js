@@ -0,0 +1,290 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import logger from "./logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Local overrides: { "<entry name>": [fallback, ...] } replaces that entry's
+// fallbacks, so a markup change can be patched without touching the code
+const OVERRIDES_PATH = path.join(
+  __dirname,
+  process.env.SELECTORS_FILE || "selectors.json"
+);
+
+// Every Partner Central selector the scraper uses, by name. Each entry lists
+// fallbacks in order of preference; a fallback is a CSS selector, or
+// { css, text } to only accept elements whose text matches `text` (a
+// case-insensitive regular expression). Entries used inside another element
+// (a table row, the card panel) are matched relative to it.
+const DEFAULT_SELECTORS = {
+  // Sign-in pages
+  "login.email": ["#emailControl"],
+  "login.continue": ["#continueButton"],
+  "login.password": ["#password-input", "#passwordControl"],
+  "login.passwordSubmit": ["#password-continue", "#signInButton"],
+  "login.passcode": ['input[name="passcode-input"]'],
+  "login.passcodeSubmit": ['button[data-testid="passcode-submit-button"]'],
+  "login.resendCode": [{ css: "button, a", text: "resend|send (a )?new code" }],
+
+  // Home page property table
+  "home.propertyTable": [".fds-data-table-wrapper"],
+  "home.propertySearch": [".all-properties__search input.fds-field-input"],
+  "home.propertyRow": ["tbody tr"],
+  "home.propertyId": [".property-cell__property-id span"],
+  "home.propertyLink": [".property-cell__property-name a"],
+
+  // Property navigation
+  "nav.drawer": [".uitk-drawer-content"],
+  "nav.drawerItem": [".uitk-action-list-item-content"],
+  "nav.drawerItemLabel": [".uitk-text.overflow-wrap"],
+  "nav.drawerItemLink": ["a.uitk-action-list-item-link"],
+  "nav.header": ["header.tpg-navigation__header"],
+  "nav.logoLink": ["header.tpg-navigation__header a.tpg-navigation__logo_container"],
+  "nav.propertyName": [
+    ".tpg-navigation__header__dropdown-property-details .fds-dropdown-button-label",
+    ".tpg-navigation__header__dropdown-property-details button span",
+    ".tpg-navigation__header__dropdown-property-details",
+    ".tpg-navigation__header__dropdown-property-details .fds-button2-label",
+  ],
+
+  // Reservations page
+  "reservations.layout": [".fds-layout"],
+  "reservations.dateTypeFilter": ['input[type="radio"][name="dateTypeFilter"]'],
+  "reservations.startDate": [
+    'input[name="startDate"]',
+    'input[id*="start" i][type="date"], input[id*="start" i][type="text"]',
+  ],
+  "reservations.endDate": [
+    'input[name="endDate"]',
+    'input[id*="end" i][type="date"], input[id*="end" i][type="text"]',
+  ],
+  "reservations.tooManyResults": [".tooManyResults"],
+  "reservations.search": [
+    'input[name="searchInput"]',
+    "input.fds-field-input",
+    'input[type="text"]',
+    ".fds-field-input",
+  ],
+  "reservations.searchSubmit": ["#save-button"],
+  "reservations.row": ["table.fds-data-table tbody tr"],
+  "reservations.resultCount": [".fds-pagination-showing-result"],
+  "reservations.nextPage": [".fds-pagination-button.next button"],
+
+  // Cells of a reservations table row
+  "row.guestLink": ["td.guestName button.guestNameLink"],
+  "row.guestName": ["td.guestName button.guestNameLink span.fds-button2-label"],
+  "row.reservationId": ["td.reservationId div.fds-cell"],
+  "row.confirmationCode": ["td.confirmationCode label.confirmationCodeLabel"],
+  "row.checkInDate": ["td.checkInDate"],
+  "row.checkOutDate": ["td.checkOutDate"],
+  "row.roomType": ["td.roomType"],
+  "row.bookingAmount": ["td.bookingAmount .fds-currency-value"],
+  "row.bookedDate": ["td.bookedOnDate"],
+
+  // Reservation details dialog
+  "dialog.root": [".fds-dialog"],
+  "dialog.content": [".fds-dialog-content"],
+  "dialog.close": [".fds-dialog-header button.dialog-close"],
+  "dialog.cardActivityButton": [
+    ".fds-cell.all-y-gutter-16 button.fds-button2.utility.small",
+    { css: "button", text: "see card activity" },
+  ],
+
+  // Virtual card panel in the dialog
+  "card.base": [".evcCardBase"],
+  "card.statusBadge": [".fds-grid.statusBadge .fds-badge"],
+  "card.number": [".evcCardBase .cardNumber.replay-conceal bdi"],
+  "card.detailCells": [
+    ".evcCardBase .cardDetails .fds-cell.all-cell-1-4.fds-type-color-primary.replay-conceal",
+  ],
+  "card.notes": [
+    ".fds-cell.all-y-gutter-12 div, .fds-cell.sidePanelSection, .fds-cell.fds-type-color-attention.fds-grid .fds-cell.all-cell-fill",
+  ],
+
+  // Reservation details in the dialog: titled sections, guest contact links
+  // and the nightly rate table
+  "details.section": [".fds-dialog-content .sidePanelSection"],
+  "details.sectionTitle": [".sidePanelSectionTitle"],
+  "details.guestEmail": ['.fds-dialog-content a[href^="mailto:"]'],
+  "details.guestPhone": ['.fds-dialog-content a[href^="tel:"]'],
+  "details.nightlyRate": [".nightlyRates tbody tr", '[class*="nightlyRate"] tr'],
+  "details.nightlyRateDate": ["td:first-child", "th"],
+
+  // Payment summary in the dialog
+  "payment.summary": [".fds-card-content"],
+  "payment.section": [".fds-grid"],
+  "payment.sectionTitle": [".sidePanelSectionTitle"],
+  "payment.amount": [".fds-currency-value"],
+  "payment.remainingSection": [
+    { css: ".fds-cell.sidePanelSection", text: "Remaining amount to charge" },
+  ],
+  "payment.refundSection": [{ css: ".fds-grid.sidePanelSection", text: "Amount to refund" }],
+
+  // Card activity tab
+  "cardActivity.balance": [
+    ".evc-mock-card-remaining-balance .fds-currency-value",
+    ".remaining-balance .fds-currency-value",
+    '[class*="remaining-balance"] .fds-currency-value',
+    '[class*="balance"] .fds-currency-value',
+  ],
+  "cardActivity.transaction": [
+    ".cardActivityTransactions tbody tr",
+    '[class*="transaction"] tbody tr',
+    ".fds-data-table tbody tr",
+  ],
+  "cardActivity.transactionDate": ["td.transactionDate", "td:nth-child(1)"],
+  "cardActivity.transactionType": ["td.transactionType", "td:nth-child(2)"],
+  "cardActivity.transactionDescription": ["td.transactionDescription", "td:nth-child(3)"],
+  "cardActivity.transactionAmount": ["td.transactionAmount .fds-currency-value", ".fds-currency-value"],
+  "cardActivity.transactionStatus": ["td.transactionStatus", ".fds-badge"],
+};
+
+const normalizeFallback = (fallback) =>
+  typeof fallback === "string"
+    ? { css: fallback, text: null }
+    : { css: String(fallback.css), text: fallback.text ?? null };
+
+let registry = null;
+
+// Defaults with overrides applied, as { name: [{ css, text }] }. Cached until
+// reloadSelectors() is called.
+const getRegistry = () => {
+  if (registry) return registry;
+
+  const entries = { ...DEFAULT_SELECTORS };
+  if (fs.existsSync(OVERRIDES_PATH)) {
+    const overrides = JSON.parse(fs.readFileSync(OVERRIDES_PATH, "utf8"));
+    for (const [name, fallbacks] of Object.entries(overrides)) {
+      if (!entries[name]) {
+        logger.warn(`Ignoring override for unknown selector "${name}"`);
+        continue;
+      }
+      entries[name] = Array.isArray(fallbacks) ? fallbacks : [fallbacks];
+    }
+    logger.info(`Loaded selector overrides from ${path.basename(OVERRIDES_PATH)}`);
+  }
+
+  registry = Object.fromEntries(
+    Object.entries(entries).map(([name, fallbacks]) => [
+      name,
+      fallbacks.map(normalizeFallback),
+    ])
+  );
+  return registry;
+};
+
+const reloadSelectors = () => {
+  registry = null;
+  return getRegistry();
+};
+
+const entryFor = (name) => {
+  const entry = getRegistry()[name];
+  if (!entry) throw new Error(`Unknown selector "${name}"`);
+  return entry;
+};
+
+// One CSS selector matching any of the entry's fallbacks, for waiting on
+// whichever one the page shows. Text matchers are ignored here; use
+// waitForEntry or findEntry for entries that rely on them. Clicks, typing and
+// row lists use resolveCss instead, so an override's fallbacks can't mix
+// elements from two variants.
+const css = (name) =>
+  entryFor(name)
+    .map((fallback) => fallback.css)
+    .join(", ");
+
+// Element lookup by entry name. Runs in the page as well (installSelectors
+// passes it to Puppeteer), so it may only use its arguments. With `install`
+// the helpers are exposed to page scripts as `__select`.
+function createSelect(entries, install = false) {
+  const matches = (el, fallback) =>
+    !fallback.text || new RegExp(fallback.text, "i").test(el.textContent || "");
+
+  // Elements matching the first fallback that matches anything
+  const all = (name, root = document) => {
+    const fallbacks = entries[name];
+    if (!fallbacks) throw new Error(`Unknown selector "${name}"`);
+    for (const fallback of fallbacks) {
+      const found = Array.from(root.querySelectorAll(fallback.css)).filter((el) =>
+        matches(el, fallback)
+      );
+      if (found.length > 0) return found;
+    }
+    return [];
+  };
+
+  const one = (name, root) => all(name, root)[0] || null;
+
+  // Match counts of every fallback, for the selector health check
+  const check = (root = document) =>
+    Object.entries(entries).map(([name, fallbacks]) => ({
+      name,
+      fallbacks: fallbacks.map((fallback) => ({
+        ...fallback,
+        matches: Array.from(root.querySelectorAll(fallback.css)).filter((el) =>
+          matches(el, fallback)
+        ).length,
+      })),
+    }));
+
+  const select = { all, one, check };
+  if (install) globalThis.__select = select;
+  return select;
+}
+
+// Make `__select` available to page.evaluate callbacks on this page, now and
+// after every navigation
+const installSelectors = async (page) => {
+  const entries = getRegistry();
+  await page.evaluateOnNewDocument(createSelect, entries, true);
+  await page.evaluate(createSelect, entries, true);
+};
+
+const hasTextMatcher = (name) => entryFor(name).some((fallback) => fallback.text);
+
+// Wait for an entry's element; resolves with its handle like waitForSelector
+const waitForEntry = async (page, name, options = {}) => {
+  if (!hasTextMatcher(name)) return page.waitForSelector(css(name), options);
+
+  const handle = await page.waitForFunction(
+    (entryName) => globalThis.__select.one(entryName),
+    { timeout: options.timeout },
+    name
+  );
+  return handle.asElement();
+};
+
+// Handle of an entry's element inside `root` (a page or element handle), or null
+const findEntry = async (page, name, root = null) => {
+  const handle = await page.evaluateHandle(
+    (entryName, el) => globalThis.__select.one(entryName, el || document),
+    name,
+    root
+  );
+  const element = handle.asElement();
+  if (!element) await handle.dispose();
+  return element;
+};
+
+// The first of an entry's fallback selectors present on the page, or null.
+// Lets page.type/page.click target the exact variant the page is showing.
+const resolveCss = (page, name) =>
+  page.evaluate(
+    (fallbacks) =>
+      fallbacks.find((fallback) => document.querySelector(fallback.css))?.css || null,
+    entryFor(name)
+  );
+
+export {
+  createSelect,
+  css,
+  findEntry,
+  getRegistry,
+  installSelectors,
+  reloadSelectors,
+  resolveCss,
+  waitForEntry,
+};
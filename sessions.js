@@ -0,0 +1,90 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import logger from "./logger.js";
+import { decryptSecret, encryptSecret, isEncrypted } from "./secrets.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// One <account>.json per credential profile with the signed-in browser
+// cookies. The cookies sign in as the account, so they are stored encrypted
+// like the profile passwords (secrets.js); without CREDENTIALS_KEY nothing is
+// saved and every run signs in.
+const SESSIONS_DIR = path.join(__dirname, "sessions");
+
+if (!fs.existsSync(SESSIONS_DIR)) {
+  fs.mkdirSync(SESSIONS_DIR, { recursive: true });
+}
+
+const sessionPath = (account) => {
+  if (!/^[\w-]+$/.test(String(account))) {
+    throw new Error(`Invalid session account "${account}"`);
+  }
+  return path.join(SESSIONS_DIR, `${account}.json`);
+};
+
+// Session metadata without the cookies, for API responses
+const sessionSummary = ({ cookies, cookieCount, ...session }) => ({
+  ...session,
+  cookies: Array.isArray(cookies) ? cookies.length : cookieCount,
+});
+
+// Saved session for `account` with its cookies decrypted, or null. A session
+// saved for a different email (the profile's login changed) is never reused.
+// One saved before sessions were encrypted is deleted instead of reused.
+const loadSession = (account, email) => {
+  const file = sessionPath(account);
+  if (!fs.existsSync(file)) return null;
+
+  const session = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!isEncrypted(session.cookies)) {
+    logger.warn(`Deleting unencrypted saved session for ${account}`);
+    fs.unlinkSync(file);
+    return null;
+  }
+  if (email && session.email !== email) return null;
+
+  try {
+    return { ...session, cookies: JSON.parse(decryptSecret(session.cookies)) };
+  } catch (error) {
+    logger.warn(`Saved session for ${account} can't be read: ${error.message}`);
+    return null;
+  }
+};
+
+// Returns the session without its cookies, or null when there is no key to
+// encrypt them with
+const saveSession = (account, { email, cookies }) => {
+  if (!process.env.CREDENTIALS_KEY) {
+    logger.warn(`Not saving the session for ${account}; set CREDENTIALS_KEY to keep sessions`);
+    return null;
+  }
+
+  const session = {
+    account,
+    email,
+    savedAt: new Date().toISOString(),
+    cookieCount: cookies.length,
+    cookies: encryptSecret(JSON.stringify(cookies)),
+  };
+  fs.writeFileSync(sessionPath(account), JSON.stringify(session, null, 2));
+  return sessionSummary(session);
+};
+
+const clearSession = (account) => {
+  const file = sessionPath(account);
+  if (!fs.existsSync(file)) return false;
+  fs.unlinkSync(file);
+  return true;
+};
+
+const listSessions = () =>
+  fs
+    .readdirSync(SESSIONS_DIR)
+    .filter((name) => name.endsWith(".json"))
+    .map((name) =>
+      sessionSummary(JSON.parse(fs.readFileSync(path.join(SESSIONS_DIR, name), "utf8")))
+    );
+
+export { clearSession, listSessions, loadSession, saveSession, sessionSummary };
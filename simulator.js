@@ -0,0 +1,607 @@
+// Local stand-in for Partner Central, for rehearsing whole runs offline.
+//
+//   node simulator.js            (or npm run simulator)
+//   PARTNER_CENTRAL_BASE_URL=http://localhost:3100 npm start
+//
+// Serves the sign-in pages (both password forms and the passcode page), the
+// property table, the property menu, the reservations page with ID and
+// date-range search (capped like Partner Central's 500-result limit),
+// pagination and guest dialogs, and the card activity page, using the markup
+// the selector registry expects. Pair it with a credential profile using the
+// "fake" verification provider; its default code matches DEFAULT_CONFIG.passcode.
+//
+// Data and failure injection come from SIMULATOR_CONFIG (a JSON file) and can
+// be changed while running through GET/POST /__sim/config and POST /__sim/reset.
+import crypto from "crypto";
+import express from "express";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import logger from "./logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SESSION_COOKIE = "sim_session";
+
+// Dates as the reservations table shows them, e.g. "Jan 05, 2025"
+const tableDate = (start, days) =>
+  new Date(Date.parse(start) + days * 24 * 60 * 60 * 1000).toLocaleDateString("en-US", {
+    month: "short",
+    day: "2-digit",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+
+// Virtual card transactions for a generated reservation: the load, a charge
+// with its authorization, sometimes a partial refund; and the balance left
+const cardActivity = (amount, number, arrival) => {
+  const charge = number % 4 === 0 ? 0 : Number(amount) / 2;
+  const refund = number % 5 === 0 ? 20 : 0;
+  const date = (days) => tableDate("2025-01-01", arrival + days);
+  const transactions = [
+    { date: date(-10), type: "Card load", description: "Virtual card issued", amount, status: "Posted" },
+    ...(charge
+      ? [
+          { date: date(0), type: "Authorization", description: "Simulator hotel", amount: charge.toFixed(2), status: "Approved" },
+          { date: date(1), type: "Charge", description: "Simulator hotel", amount: charge.toFixed(2), status: "Posted" },
+        ]
+      : []),
+    ...(refund
+      ? [{ date: date(2), type: "Refund", description: "Simulator hotel", amount: refund.toFixed(2), status: "Posted" }]
+      : []),
+  ];
+  return { transactions, balance: (Number(amount) - charge + refund).toFixed(2) };
+};
+
+// Generated stand-in data: `count` reservations for one property, checking
+// in one or two a day from Jan 1 2025
+const sampleReservations = (propertyId, count) =>
+  Array.from({ length: count }, (_, index) => {
+    const number = index + 1;
+    const reservationId = `${propertyId}${String(number).padStart(4, "0")}`;
+    const amount = (150 + number * 12.5).toFixed(2);
+    const arrival = Math.floor(index / 2);
+    return {
+      reservationId,
+      guestName: `Guest ${propertyId}-${number}`,
+      confirmationCode: `SIM${reservationId}`,
+      checkInDate: tableDate("2025-01-01", arrival),
+      checkOutDate: tableDate("2025-01-01", arrival + 3),
+      roomType: number % 2 ? "Room, 1 King Bed" : "Room, 2 Queen Beds",
+      bookingAmount: amount,
+      bookedDate: tableDate("2024-12-01", arrival),
+      card:
+        number % 3 === 0
+          ? null
+          : {
+              number: `4111 1111 1111 ${String(1000 + number).slice(-4)}`,
+              expiry: "12/27",
+              cvv: String(100 + number),
+              status: "Active",
+              ...cardActivity(amount, number, arrival),
+            },
+      payment: {
+        totalGuestPayment: amount,
+        cancellationFee: "0.00",
+        expediaCompensation: (amount * 0.15).toFixed(2),
+        totalPayout: (amount * 0.85).toFixed(2),
+        remainingAmountToCharge: number % 4 === 0 ? amount : "",
+        amountToRefund: "",
+      },
+      details: {
+        guestEmail: `guest${reservationId}@guest.example.com`,
+        guestPhone: `+1 555 01${String(number).padStart(2, "0")}`,
+        adults: 2,
+        children: number % 2,
+        ratePlan: number % 2 ? "Standard rate" : "Non-refundable rate",
+        taxes: (amount * 0.1).toFixed(2),
+        specialRequests: number % 5 === 0 ? "Late check-in" : "",
+        cancellationPolicy: "Free cancellation until 24 hours before check-in",
+        bookingSource: number % 2 ? "Expedia" : "Hotels.com",
+        nightlyRates: [0, 1, 2].map((night) => ({
+          date: tableDate("2025-01-01", arrival + night),
+          amount: (amount / 3).toFixed(2),
+        })),
+      },
+    };
+  });
+
+const DEFAULT_CONFIG = {
+  // Code the passcode page accepts; the fake provider's default
+  passcode: "123456",
+  // "a": #password-input/#password-continue, "b": #passwordControl/#signInButton,
+  // "alternate": switch between them on every sign-in
+  passwordVariant: "a",
+  pageSize: 10,
+  // Searches matching more than this show the "tooManyResults" banner and
+  // only their first `resultCap` results, as Partner Central does past 500
+  resultCap: 500,
+  properties: [
+    { id: "1001", name: "Simulator Beach Resort", reservations: sampleReservations("1001", 12) },
+    { id: "1002", name: "Simulator City Hotel", reservations: sampleReservations("1002", 4) },
+  ],
+  failures: {
+    // Delay before a guest dialog opens
+    slowDialogMs: 0,
+    // CSS selectors removed from every page after it renders
+    missingElements: [],
+    // Sessions expire this long after sign-in (0: never)
+    sessionTtlMs: 0,
+  },
+};
+
+const loadConfig = () => {
+  const file = process.env.SIMULATOR_CONFIG;
+  if (!file) return structuredClone(DEFAULT_CONFIG);
+  const custom = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+  return {
+    ...structuredClone(DEFAULT_CONFIG),
+    ...custom,
+    failures: { ...DEFAULT_CONFIG.failures, ...custom.failures },
+  };
+};
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(
+    /[&<>"']/g,
+    (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]
+  );
+
+// Page shell. Every page gets the failure settings and prunes the configured
+// missing elements after load and whenever it re-renders (window.simPrune).
+const layout = (config, title, body, { header = null, script = "" } = {}) => `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body>
+${
+  header
+    ? `<header class="tpg-navigation__header">
+  <a class="tpg-navigation__logo_container" href="/">Partner Central</a>
+  <div class="tpg-navigation__header__dropdown-property-details">
+    <span class="fds-dropdown-button-label">${escapeHtml(header)}</span>
+  </div>
+</header>`
+    : ""
+}
+${body}
+<script>
+  window.__SIM__ = ${JSON.stringify({ failures: config.failures })};
+  window.simPrune = () => {
+    for (const selector of window.__SIM__.failures.missingElements) {
+      document.querySelectorAll(selector).forEach((el) => el.remove());
+    }
+  };
+  ${script}
+  window.simPrune();
+</script>
+</body>
+</html>`;
+
+const loginPages = {
+  email: (config) =>
+    layout(
+      config,
+      "Sign in",
+      `<form method="post" action="/Account/Logon">
+  <input id="emailControl" name="email" type="email">
+  <button id="continueButton" type="submit">Continue</button>
+</form>`
+    ),
+  password: (config, variant) =>
+    layout(
+      config,
+      "Password",
+      variant === "b"
+        ? `<form method="post" action="/Account/Password">
+  <input id="passwordControl" name="password" type="password">
+  <button id="signInButton" type="submit">Sign in</button>
+</form>`
+        : `<form method="post" action="/Account/Password">
+  <input id="password-input" name="password" type="password">
+  <button id="password-continue" type="submit">Continue</button>
+</form>`
+    ),
+  passcode: (config, error = "") =>
+    layout(
+      config,
+      "Verification",
+      `<form method="post" action="/Account/Passcode">
+  ${error ? `<p class="error">${escapeHtml(error)}</p>` : ""}
+  <input name="passcode-input" type="text" autocomplete="one-time-code">
+  <button data-testid="passcode-submit-button" type="submit">Verify</button>
+</form>
+<form method="post" action="/Account/Passcode/resend"><button type="submit">Resend code</button></form>`
+    ),
+};
+
+const homePage = (config) =>
+  layout(
+    config,
+    "Partner Central",
+    `<div class="fds-data-table-wrapper">
+  <div class="all-properties__search"><input class="fds-field-input" type="text"></div>
+  <table class="fds-data-table"><tbody>
+  ${config.properties
+    .map(
+      (property) => `<tr>
+    <td><div class="property-cell__property-name"><a href="/properties/${escapeHtml(property.id)}">${escapeHtml(property.name)}</a></div>
+    <div class="property-cell__property-id"><span>${escapeHtml(property.id)}</span></div></td>
+  </tr>`
+    )
+    .join("")}
+  </tbody></table>
+</div>`,
+    {
+      header: "All properties",
+      // Typing filters the table, like Partner Central's search
+      script: `
+  const search = document.querySelector(".all-properties__search input");
+  search.addEventListener("input", () => {
+    document.querySelectorAll("tbody tr").forEach((row) => {
+      row.style.display = row.textContent.includes(search.value.trim()) ? "" : "none";
+    });
+  });`,
+    }
+  );
+
+const propertyPage = (config, property) =>
+  layout(
+    config,
+    property.name,
+    `<div class="uitk-drawer-content">
+  <div class="uitk-action-list-item-content">
+    <div class="uitk-text overflow-wrap">Dashboard</div>
+    <a class="uitk-action-list-item-link" href="/properties/${escapeHtml(property.id)}"></a>
+  </div>
+  <div class="uitk-action-list-item-content">
+    <div class="uitk-text overflow-wrap">Reservations</div>
+    <a class="uitk-action-list-item-link" href="/properties/${escapeHtml(property.id)}/reservations"></a>
+  </div>
+</div>`,
+    { header: property.name }
+  );
+
+// Reservations are rendered in the browser from the JSON endpoints below, so
+// search, paging and dialogs behave like the real single-page app and
+// network capture mode has payloads to read
+const reservationsPage = (config, property) =>
+  layout(
+    config,
+    `${property.name} reservations`,
+    `<div class="fds-layout">
+  <label><input type="radio" name="dateTypeFilter" value="checkIn" checked> Check-in</label>
+  <label><input type="radio" name="dateTypeFilter" value="checkOut"> Check-out</label>
+  <label><input type="radio" name="dateTypeFilter" value="booked"> Booked</label>
+  <input name="startDate" type="date">
+  <input name="endDate" type="date">
+  <input name="searchInput" class="fds-field-input" type="text">
+  <button id="save-button" type="button">Search</button>
+  <div id="banner"></div>
+  <table class="fds-data-table"><tbody></tbody></table>
+  <div class="fds-pagination">
+    <span class="fds-pagination-showing-result"></span>
+    <span class="fds-pagination-button next"><button type="button">Next</button></span>
+  </div>
+</div>
+<div id="dialog-root"></div>`,
+    {
+      header: property.name,
+      script: `
+  const pageSize = ${Number(config.pageSize) || 10};
+  let matches = [];
+  let page = 0;
+  const esc = (value) => String(value ?? "").replace(/[&<>"']/g, (c) => "&#" + c.charCodeAt(0) + ";");
+
+  const render = () => {
+    const start = page * pageSize;
+    document.querySelector("tbody").innerHTML = matches
+      .slice(start, start + pageSize)
+      .map((res) => \`<tr>
+        <td class="guestName"><button class="guestNameLink" data-id="\${esc(res.reservationId)}"><span class="fds-button2-label">\${esc(res.guestName)}</span></button></td>
+        <td class="reservationId"><div class="fds-cell">\${esc(res.reservationId)}</div></td>
+        <td class="confirmationCode"><label class="confirmationCodeLabel">\${esc(res.confirmationCode)}</label></td>
+        <td class="checkInDate">\${esc(res.checkInDate)}</td>
+        <td class="checkOutDate">\${esc(res.checkOutDate)}</td>
+        <td class="roomType">\${esc(res.roomType)}</td>
+        <td class="bookingAmount"><span class="fds-currency-value">\${esc(res.bookingAmount)}</span></td>
+        <td class="bookedOnDate">\${esc(res.bookedDate)}</td>
+      </tr>\`)
+      .join("");
+    const end = Math.min(start + pageSize, matches.length);
+    document.querySelector(".fds-pagination-showing-result").textContent =
+      \`\${matches.length ? start + 1 : 0}-\${end} of \${matches.length} Results\`;
+    document.querySelector(".fds-pagination-button.next button").disabled = end >= matches.length;
+    window.simPrune();
+  };
+
+  const section = (title, value) => value
+    ? \`<div class="fds-grid"><div class="sidePanelSectionTitle">\${title}</div><span class="fds-currency-value">\${esc(value)}</span></div>\`
+    : "";
+
+  const detail = (title, value) => value
+    ? \`<div class="sidePanelSection"><div class="sidePanelSectionTitle">\${title}</div>\${esc(value)}</div>\`
+    : "";
+  const details = (info) => info
+    ? \`<div class="sidePanelSection"><div class="sidePanelSectionTitle">Guest contact</div>
+          <a href="mailto:\${esc(info.guestEmail)}">\${esc(info.guestEmail)}</a>
+          <a href="tel:\${esc(info.guestPhone)}">\${esc(info.guestPhone)}</a></div>
+        \${detail("Guests", info.adults + " adults, " + info.children + " children")}
+        \${detail("Rate plan", info.ratePlan)}
+        <table class="nightlyRates"><tbody>
+          \${info.nightlyRates.map((line) => \`<tr><td>\${esc(line.date)}</td><td><span class="fds-currency-value">\${esc(line.amount)}</span></td></tr>\`).join("")}
+        </tbody></table>
+        \${detail("Taxes", info.taxes)}
+        \${detail("Special requests", info.specialRequests)}
+        \${detail("Cancellation policy", info.cancellationPolicy)}
+        \${detail("Booking source", info.bookingSource)}\`
+    : "";
+
+  const openDialog = (res) => {
+    const card = res.card
+      ? \`<div class="evcCardBase">
+          <div class="fds-grid statusBadge"><span class="fds-badge">\${esc(res.card.status)}</span></div>
+          <div class="cardNumber replay-conceal"><bdi>\${esc(res.card.number)}</bdi></div>
+          <div class="cardDetails">
+            <div class="fds-cell all-cell-1-4 fds-type-color-primary replay-conceal">\${esc(res.card.expiry)}</div>
+            <div class="fds-cell all-cell-1-4 fds-type-color-primary replay-conceal">\${esc(res.card.cvv)}</div>
+          </div>
+          <div class="fds-cell all-y-gutter-16">
+            <button class="fds-button2 utility small" data-activity="\${esc(res.reservationId)}">See card activity</button>
+          </div>
+        </div>\`
+      : "";
+    const payment = res.payment || {};
+    document.querySelector("#dialog-root").innerHTML = \`<div class="fds-dialog">
+      <div class="fds-dialog-header"><button class="dialog-close" type="button">Close</button></div>
+      <div class="fds-dialog-content">
+        \${card}
+        <div class="fds-card-content">
+          \${section("Total guest payment", payment.totalGuestPayment)}
+          \${section("Cancellation fee", payment.cancellationFee)}
+          \${section("Expedia compensation", payment.expediaCompensation)}
+          \${section("Your total payout", payment.totalPayout)}
+        </div>
+        \${payment.remainingAmountToCharge ? \`<div class="fds-cell sidePanelSection">Remaining amount to charge <span class="fds-currency-value">\${esc(payment.remainingAmountToCharge)}</span></div>\` : ""}
+        \${payment.amountToRefund ? \`<div class="fds-grid sidePanelSection">Amount to refund <span class="fds-currency-value">\${esc(payment.amountToRefund)}</span></div>\` : ""}
+        \${details(res.details)}
+      </div>
+    </div>\`;
+    window.simPrune();
+  };
+
+  const search = async () => {
+    const query = new URLSearchParams({
+      term: document.querySelector('input[name="searchInput"]').value.trim(),
+      dateType: document.querySelector('input[name="dateTypeFilter"]:checked').value,
+      from: document.querySelector('input[name="startDate"]').value,
+      to: document.querySelector('input[name="endDate"]').value,
+    });
+    const result = await (await fetch(${JSON.stringify(`/api/properties/${encodeURIComponent(property.id)}/reservations?`)} + query)).json();
+    document.querySelector("#banner").innerHTML = result.truncated
+      ? '<div class="fds-type-color-error all-x-gutter-16 tooManyResults">This search returned over ' + result.reservations.length + ' results and we’re only able to show the first ' + result.reservations.length + '. You can try narrowing your search criteria.</div>'
+      : "";
+    matches = result.reservations;
+    page = 0;
+    render();
+  };
+  document.querySelector("#save-button").addEventListener("click", search);
+  document.querySelector(".fds-pagination-button.next button").addEventListener("click", () => {
+    page++;
+    render();
+  });
+  document.addEventListener("click", (event) => {
+    const guest = event.target.closest(".guestNameLink");
+    if (guest) {
+      fetch("/api/reservations/" + guest.dataset.id)
+        .then((response) => response.json())
+        .then((res) => setTimeout(() => openDialog(res), window.__SIM__.failures.slowDialogMs));
+    }
+    if (event.target.closest(".dialog-close")) {
+      document.querySelector("#dialog-root").innerHTML = "";
+    }
+    const activity = event.target.closest("[data-activity]");
+    if (activity) {
+      window.open(location.origin + "/card-activity/" + activity.dataset.activity);
+    }
+  });
+  search();`,
+    }
+  );
+
+const cardActivityPage = (config, reservation) =>
+  layout(
+    config,
+    "Card activity",
+    `<div class="evc-mock-card-remaining-balance">
+  Remaining balance <span class="fds-currency-value">${escapeHtml(reservation.card?.balance ?? "0.00")}</span>
+</div>
+<table class="fds-data-table cardActivityTransactions"><tbody>
+${(reservation.card?.transactions || [])
+  .map(
+    (transaction) => `  <tr>
+    <td class="transactionDate">${escapeHtml(transaction.date)}</td>
+    <td class="transactionType">${escapeHtml(transaction.type)}</td>
+    <td class="transactionDescription">${escapeHtml(transaction.description)}</td>
+    <td class="transactionAmount"><span class="fds-currency-value">${escapeHtml(transaction.amount)}</span></td>
+    <td class="transactionStatus"><span class="fds-badge">${escapeHtml(transaction.status)}</span></td>
+  </tr>`
+  )
+  .join("\n")}
+</tbody></table>`
+  );
+
+// Partner Central stand-in as an Express app. `overrides` replace parts of
+// the SIMULATOR_CONFIG / default configuration.
+const createSimulator = (overrides = {}) => {
+  let config = { ...loadConfig(), ...overrides };
+  // session id -> { email, expiresAt }, and sign-ins still in progress
+  const sessions = new Map();
+  const pending = new Map();
+  let signIns = 0;
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.use(express.json());
+
+  const cookies = (req) =>
+    Object.fromEntries(
+      (req.headers.cookie || "")
+        .split(";")
+        .filter(Boolean)
+        .map((pair) => pair.trim().split("=").map(decodeURIComponent))
+    );
+
+  const signedIn = (req) => {
+    const session = sessions.get(cookies(req)[SESSION_COOKIE]);
+    if (!session) return false;
+    if (session.expiresAt && Date.now() > session.expiresAt) {
+      sessions.delete(cookies(req)[SESSION_COOKIE]);
+      return false;
+    }
+    return true;
+  };
+
+  // Signed-out visitors go to the logon page, like Partner Central
+  const requireSession = (req, res, next) =>
+    signedIn(req) ? next() : res.redirect("/Account/Logon?signedOff=true");
+
+  const findProperty = (id) => config.properties.find((item) => String(item.id) === id);
+
+  // Simulator control
+  app.get("/__sim/config", (req, res) => res.json(config));
+  app.post("/__sim/config", (req, res) => {
+    config = {
+      ...config,
+      ...req.body,
+      failures: { ...config.failures, ...req.body?.failures },
+    };
+    res.json(config);
+  });
+  app.post("/__sim/reset", (req, res) => {
+    config = { ...loadConfig(), ...overrides };
+    sessions.clear();
+    pending.clear();
+    res.json(config);
+  });
+  // End every session, as if they all expired
+  app.post("/__sim/expire-sessions", (req, res) => {
+    sessions.clear();
+    res.json({ success: true });
+  });
+
+  // Sign-in flow: email -> password -> passcode
+  app.get("/Account/Logon", (req, res) => res.send(loginPages.email(config)));
+  app.post("/Account/Logon", (req, res) => {
+    const id = crypto.randomUUID();
+    const variant =
+      config.passwordVariant === "alternate" ? (signIns++ % 2 ? "b" : "a") : config.passwordVariant;
+    pending.set(id, { email: req.body.email, variant });
+    res.cookie("sim_signin", id).redirect("/Account/Password");
+  });
+  app.get("/Account/Password", (req, res) => {
+    const signIn = pending.get(cookies(req).sim_signin);
+    if (!signIn) return res.redirect("/Account/Logon");
+    res.send(loginPages.password(config, signIn.variant));
+  });
+  app.post("/Account/Password", (req, res) => {
+    const signIn = pending.get(cookies(req).sim_signin);
+    if (!signIn || !req.body.password) return res.redirect("/Account/Logon");
+    res.redirect("/Account/Passcode");
+  });
+  app.get("/Account/Passcode", (req, res) => res.send(loginPages.passcode(config)));
+  app.post("/Account/Passcode/resend", (req, res) => res.redirect("/Account/Passcode"));
+  app.post("/Account/Passcode", (req, res) => {
+    const signInId = cookies(req).sim_signin;
+    const signIn = pending.get(signInId);
+    if (!signIn) return res.redirect("/Account/Logon");
+    if (req.body["passcode-input"] !== String(config.passcode)) {
+      return res.send(loginPages.passcode(config, "That code didn't work"));
+    }
+
+    pending.delete(signInId);
+    const sessionId = crypto.randomUUID();
+    const ttl = Number(config.failures.sessionTtlMs) || 0;
+    sessions.set(sessionId, {
+      email: signIn.email,
+      expiresAt: ttl ? Date.now() + ttl : null,
+    });
+    res.cookie(SESSION_COOKIE, sessionId).redirect("/");
+  });
+
+  // Signed-in pages
+  app.get("/", requireSession, (req, res) => res.send(homePage(config)));
+  app.get("/properties/:id", requireSession, (req, res) => {
+    const property = findProperty(req.params.id);
+    if (!property) return res.status(404).send("Property not found");
+    res.send(propertyPage(config, property));
+  });
+  app.get("/properties/:id/reservations", requireSession, (req, res) => {
+    const property = findProperty(req.params.id);
+    if (!property) return res.status(404).send("Property not found");
+    res.send(reservationsPage(config, property));
+  });
+  // JSON behind the reservations page: the table rows of a search, capped at
+  // `resultCap`, and one reservation's full record for its dialog. A search
+  // term looks up reservations; without one the date range applies.
+  const dateFields = { checkIn: "checkInDate", checkOut: "checkOutDate", booked: "bookedDate" };
+  const isoDate = (text) => new Date(Date.parse(`${text} UTC`)).toISOString().slice(0, 10);
+  const requireApiSession = (req, res, next) =>
+    signedIn(req) ? next() : res.status(401).json({ error: "Session expired" });
+
+  app.get("/api/properties/:id/reservations", requireApiSession, (req, res) => {
+    const property = findProperty(req.params.id);
+    if (!property) return res.status(404).json({ error: "Property not found" });
+
+    const { term = "", dateType = "checkIn", from = "", to = "" } = req.query;
+    // Like Partner Central, dates still filled in narrow a search term too
+    const matches = property.reservations.filter((reservation) => {
+      const date = isoDate(reservation[dateFields[dateType] || "checkInDate"]);
+      const inRange = (!from || date >= from) && (!to || date <= to);
+      return (
+        inRange &&
+        (!term || reservation.reservationId.includes(term) || reservation.guestName.includes(term))
+      );
+    });
+    const cap = Number(config.resultCap) || 500;
+
+    res.json({
+      total: Math.min(matches.length, cap),
+      truncated: matches.length > cap,
+      reservations: matches.slice(0, cap).map(
+        ({ card, payment, details, ...columns }) => columns
+      ),
+    });
+  });
+  app.get("/api/reservations/:reservationId", requireApiSession, (req, res) => {
+    const reservation = config.properties
+      .flatMap((property) => property.reservations)
+      .find((item) => item.reservationId === req.params.reservationId);
+    if (!reservation) return res.status(404).json({ error: "Reservation not found" });
+    res.json(reservation);
+  });
+
+  app.get("/card-activity/:reservationId", requireSession, (req, res) => {
+    const reservation = config.properties
+      .flatMap((property) => property.reservations)
+      .find((item) => item.reservationId === req.params.reservationId);
+    if (!reservation) return res.status(404).send("Reservation not found");
+    res.send(cardActivityPage(config, reservation));
+  });
+
+  return app;
+};
+
+// Start the simulator; resolves with the http.Server once it's listening
+const startSimulator = (port = 3100, overrides = {}) =>
+  new Promise((resolve) => {
+    const server = createSimulator(overrides).listen(port, () => resolve(server));
+  });
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  const port = parseInt(process.env.SIMULATOR_PORT, 10) || 3100;
+  await startSimulator(port);
+  logger.info(`Partner Central simulator running at http://localhost:${port}`);
+}
+
+export { DEFAULT_CONFIG, createSimulator, startSimulator };
@@ -0,0 +1,54 @@
+// Failure captures of the reservation dialog, in a real browser. Skipped
+// when Puppeteer can't launch one, like test/simulator.test.js.
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { after, before, describe, it } from "node:test";
+import { fileURLToPath } from "url";
+import { createArtifactRecorder, deleteArtifactRun, getArtifact } from "../artifacts.js";
+import { closeBrowser, openBrowser } from "../browser-profiles.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const launchError = await openBrowser("headless").then(
+  (browser) => closeBrowser(browser).then(() => null),
+  (error) => error.message.split("\n")[0]
+);
+
+describe("failure artifacts", { skip: launchError ? `No browser: ${launchError}` : false }, () => {
+  const runId = crypto.randomUUID();
+  let browser;
+  let page;
+
+  before(async () => {
+    browser = await openBrowser("headless");
+    page = await browser.newPage();
+    await page.setContent(
+      fs.readFileSync(path.join(__dirname, "fixtures", "reservation-dialog.html"), "utf8")
+    );
+  });
+
+  after(async () => {
+    await closeBrowser(browser);
+    deleteArtifactRun(runId);
+  });
+
+  it("blanks the virtual card in the saved page and leaves the live page alone", async () => {
+    const name = await createArtifactRecorder(runId).capture(page, new Error("Dialog stuck"), {
+      propertyId: "1001",
+      reservationId: "328898110",
+      step: "reservation",
+    });
+
+    const html = fs.readFileSync(getArtifact(runId, `${name}.html`).path, "utf8");
+    assert.equal(html.includes("5412 7534 1200 9876"), false);
+    assert.equal(html.includes(">418<"), false);
+    assert.equal(html.includes(">03/27<"), false);
+    assert.equal(html.includes("j.hingston@guest.example.com"), true);
+    assert.ok(getArtifact(runId, `${name}.png`));
+
+    const live = await page.$eval(".cardNumber", (el) => el.textContent.trim());
+    assert.equal(live, "5412 7534 1200 9876");
+  });
+});
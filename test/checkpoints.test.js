@@ -0,0 +1,86 @@
+// Checkpoint bookkeeping for failed reservations and resumed runs
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { after, describe, it } from "node:test";
+import { fileURLToPath } from "url";
+import { createCheckpoint, loadCheckpoint } from "../checkpoints.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Scraped rows are stored encrypted
+process.env.CREDENTIALS_KEY ||= "checkpoints-test-key";
+
+const checkpointFile = (id) => path.join(__dirname, "..", "checkpoints", `${id}.json`);
+
+const HOTELS = [{ id: "1001", idList: ["10010001", "10010002"], extras: {} }];
+
+const row = (reservationId, cardNumber = "4111 1111 1111 1001") => ({
+  propertyId: "1001",
+  reservationId,
+  inputReservationId: reservationId,
+  cardNumber,
+});
+
+describe("checkpoints", () => {
+  const ids = [];
+  const checkpoint = () => {
+    const created = createCheckpoint({ hotels: HOTELS });
+    ids.push(created.id);
+    return created;
+  };
+
+  after(() => {
+    for (const id of ids) {
+      fs.rmSync(checkpointFile(id), { force: true });
+    }
+  });
+
+  it("stores the scraped rows encrypted", () => {
+    const run = checkpoint();
+    run.recordReservation("1001", "10010001", [row("10010001")]);
+    run.completeProperty("1001");
+
+    assert.equal(fs.readFileSync(checkpointFile(run.id), "utf8").includes("4111"), false);
+    assert.deepEqual(loadCheckpoint(run.id).rows, [row("10010001")]);
+  });
+
+  it("writes reservations in batches and property boundaries right away", () => {
+    const run = checkpoint();
+    run.recordReservation("1001", "10010001", [row("10010001")]);
+    assert.equal(loadCheckpoint(run.id).isReservationDone("1001", "10010001"), false);
+
+    run.completeProperty("1001");
+    assert.equal(loadCheckpoint(run.id).isReservationDone("1001", "10010001"), true);
+  });
+
+  it("keeps a reservation given up on failed until a resume retries it", () => {
+    const run = checkpoint();
+    run.recordReservation("1001", "10010001", [row("10010001")]);
+    run.recordReservation("1001", "10010002", []);
+    run.recordFailure("1001", "10010002", "Dialog stuck", {
+      chunk: "10010002",
+      basicData: { reservationId: "10010002" },
+    });
+    run.recordPlaceholder("1001", "10010002", [row("10010002", "N/A")]);
+    run.completeProperty("1001");
+
+    const resumed = loadCheckpoint(run.id);
+    assert.equal(resumed.isPropertyDone("1001"), false);
+    assert.deepEqual(
+      resumed.failedRows("1001").map((entry) => [entry.chunk, entry.reservationId]),
+      [["10010002", "10010002"]]
+    );
+
+    resumed.resolveFailure("1001", "10010002", [row("10010002", "4111 1111 1111 1002")]);
+    resumed.completeProperty("1001");
+    assert.equal(resumed.isPropertyDone("1001"), true);
+    assert.deepEqual(
+      resumed.rows.map((saved) => [saved.reservationId, saved.cardNumber]),
+      [
+        ["10010001", "4111 1111 1111 1001"],
+        ["10010002", "4111 1111 1111 1002"],
+      ]
+    );
+  });
+});
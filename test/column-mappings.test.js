@@ -0,0 +1,18 @@
+// Column mapping lookups by name, which comes straight from API requests
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { DEFAULT_MAPPING, deleteMapping, getMapping } from "../column-mappings.js";
+
+describe("column mappings", () => {
+  it("falls back to the built-in mapping without a name", () => {
+    assert.equal(getMapping(), DEFAULT_MAPPING);
+    assert.equal(getMapping("default"), DEFAULT_MAPPING);
+  });
+
+  it("doesn't resolve prototype members as mappings", () => {
+    for (const name of ["__proto__", "constructor", "toString", "hasOwnProperty"]) {
+      assert.equal(getMapping(name), null, name);
+      assert.equal(deleteMapping(name), false, name);
+    }
+  });
+});
@@ -0,0 +1,187 @@
+// Runs the extractors.js parsers against saved Partner Central pages in
+// test/fixtures, the same way check-selectors.js does in a browser
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { describe, it } from "node:test";
+import { fileURLToPath } from "url";
+import { JSDOM } from "jsdom";
+import { summarizeCardActivity } from "../card-activity.js";
+import {
+  extractAdjustments,
+  extractCard,
+  extractCardBalance,
+  extractCardTransactions,
+  extractPaymentSummary,
+  extractPropertyName,
+  extractReservationDetails,
+  extractReservationRow,
+  parseResultCount,
+} from "../extractors.js";
+import { createSelect, getRegistry } from "../selectors.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const load = (name) =>
+  new JSDOM(fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8")).window.document;
+
+createSelect(getRegistry(), true);
+
+describe("reservations page (testing.html)", () => {
+  const doc = load("testing.html");
+
+  it("reads every row of the results table", () => {
+    const rows = __select.all("reservations.row", doc).map((row) => extractReservationRow(row));
+
+    assert.equal(rows.length, 10);
+    assert.deepEqual(rows[0], {
+      guestName: "Judith Clare\n                              Hingston",
+      reservationId: "328898110",
+      confirmationCode: "150806RA002146",
+      checkInDate: "Dec 28, 2024",
+      checkOutDate: "Jan 07, 2025",
+      roomType: "Room, 1 King Bed, Balcony, Ocean View",
+      bookingAmount: "8,251.10",
+      bookedDate: "Sep 26, 2024",
+    });
+    assert.deepEqual(rows[1], {
+      guestName: "Justin Price",
+      reservationId: "299688952",
+      confirmationCode: "10952355",
+      checkInDate: "Dec 28, 2024",
+      checkOutDate: "Jan 05, 2025",
+      roomType: "Room, 2 Queen Beds (Fountain View)",
+      bookingAmount: "11,787.92",
+      bookedDate: "Aug 13, 2024",
+    });
+    assert.deepEqual(
+      rows.map((row) => row.reservationId),
+      [
+        "328898110",
+        "299688952",
+        "355040528",
+        "355034200",
+        "373030781",
+        "373029889",
+        "371750077",
+        "368847580",
+        "368844051",
+        "367263903",
+      ]
+    );
+  });
+
+  it("reads the result count and next page button", () => {
+    assert.equal(parseResultCount(__select.one("reservations.resultCount", doc).textContent), 500);
+    assert.equal(__select.one("reservations.nextPage", doc).disabled, false);
+  });
+});
+
+describe("reservation dialog (reservation-dialog.html)", () => {
+  const doc = load("reservation-dialog.html");
+
+  it("reads the virtual card", () => {
+    assert.deepEqual(extractCard(doc), {
+      status: "Active",
+      card: {
+        cardNumber: "5412 7534 1200 9876",
+        expiryDate: "03/27",
+        cvv: "418",
+        additionalText: "Charge the card up to the amount shown on check-out.",
+      },
+    });
+  });
+
+  it("reads the payment summary and adjustments", () => {
+    assert.deepEqual(extractPaymentSummary(doc), {
+      totalGuestPayment: "8,251.10",
+      cancellationFee: "0.00",
+      expediaCompensation: "1,237.67",
+      totalPayout: "7,013.43",
+    });
+    assert.deepEqual(extractAdjustments(doc), {
+      remainingAmountToCharge: "",
+      amountToRefund: "125.00",
+    });
+  });
+
+  it("reads the booking details", () => {
+    assert.deepEqual(extractReservationDetails(doc), {
+      guestEmail: "j.hingston@guest.example.com",
+      guestPhone: "+1 415 555 0142",
+      adults: 2,
+      children: 1,
+      ratePlan: "Ocean View - Breakfast included",
+      taxes: "1,061.54",
+      specialRequests: "High floor, away from the elevator",
+      cancellationPolicy: "Non-refundable after Dec 21, 2024",
+      bookingSource: "Expedia",
+      nightlyRates: [
+        { date: "Dec 28, 2024", amount: "825.11" },
+        { date: "Dec 29, 2024", amount: "825.11" },
+        { date: "Dec 30, 2024", amount: "790.00" },
+      ],
+    });
+  });
+
+  it("reads the property name from the header", () => {
+    assert.equal(
+      extractPropertyName(getRegistry()["nav.propertyName"], doc),
+      "Seaside Palms Resort"
+    );
+  });
+});
+
+describe("card activity page (card-activity.html)", () => {
+  const doc = load("card-activity.html");
+
+  it("reads the remaining balance", () => {
+    assert.equal(extractCardBalance(getRegistry()["cardActivity.balance"], doc), "4,276.10");
+  });
+
+  it("reads the transactions with an amount", () => {
+    assert.deepEqual(extractCardTransactions(doc), [
+      {
+        date: "Dec 18, 2024",
+        type: "Card load",
+        description: "Virtual card issued",
+        amount: "8,251.10",
+        status: "Posted",
+      },
+      {
+        date: "Dec 28, 2024",
+        type: "Authorization",
+        description: "SEASIDE PALMS RESORT",
+        amount: "4,100.00",
+        status: "Approved",
+      },
+      {
+        date: "Dec 29, 2024",
+        type: "Charge",
+        description: "SEASIDE PALMS RESORT",
+        amount: "4,100.00",
+        status: "Posted",
+      },
+      {
+        date: "Jan 02, 2025",
+        type: "Refund",
+        description: "SEASIDE PALMS RESORT",
+        amount: "125.00",
+        status: "Posted",
+      },
+    ]);
+  });
+
+  it("matches the shown balance to the transactions", () => {
+    const activity = summarizeCardActivity({
+      balance: extractCardBalance(getRegistry()["cardActivity.balance"], doc),
+      transactions: extractCardTransactions(doc),
+    });
+    assert.equal(activity.calculatedBalance, 4276.1);
+    assert.equal(activity.balanceMatches, true);
+    assert.deepEqual(
+      activity.transactions.map((transaction) => transaction.kind),
+      ["load", "authorization", "charge", "refund"]
+    );
+  });
+});
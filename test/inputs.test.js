@@ -0,0 +1,26 @@
+// Validation of uploaded inputs before they are stored
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createInputFromJson, listInputs } from "../inputs.js";
+
+describe("inputs", () => {
+  it("reports every rejected row without storing the input", () => {
+    const before = listInputs().length;
+    const input = createInputFromJson([
+      { propertyId: "1001", reservationIds: ["", "12ab"] },
+      { propertyId: "", reservationIds: ["10010001"] },
+    ]);
+
+    assert.equal(input.id, null);
+    assert.equal(input.summary.accepted, 0);
+    assert.deepEqual(
+      input.report.map(({ row, status, issues }) => ({ row, status, issues })),
+      [
+        { row: 1, status: "skipped", issues: ["Blank Reservation ID"] },
+        { row: 2, status: "skipped", issues: ["Non-numeric Reservation ID"] },
+        { row: 3, status: "skipped", issues: ["Missing Property ID"] },
+      ]
+    );
+    assert.equal(listInputs().length, before);
+  });
+});
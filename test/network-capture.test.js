@@ -0,0 +1,214 @@
+// Runs the network-capture.js parsers against saved JSON payloads in
+// test/fixtures, and the response capture against a stand-in page
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import fs from "fs";
+import path from "path";
+import { describe, it } from "node:test";
+import { fileURLToPath } from "url";
+import { createResponseCapture, findRecords, toDetail, toRow } from "../network-capture.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const load = (name) =>
+  JSON.parse(fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8"));
+
+const LIST = load("reservations-list.json");
+const DETAIL = load("reservation-detail.json");
+
+// Enough of a Puppeteer page for createResponseCapture: "response" events,
+// and evaluate() standing in for the in-page fetch of fetchDetail
+const fakePage = (fetchOk = true) => {
+  const page = new EventEmitter();
+  page.fetched = [];
+  page.evaluate = async (fn, url) => {
+    page.fetched.push(url);
+    return fetchOk;
+  };
+  page.respond = async (url, body, { type = "fetch", contentType = "application/json" } = {}) => {
+    page.emit("response", {
+      url: () => url,
+      request: () => ({ resourceType: () => type }),
+      headers: () => ({ "content-type": contentType }),
+      json: async () => body,
+    });
+    // Let the async response handler read the body
+    await new Promise((resolve) => setImmediate(resolve));
+  };
+  return page;
+};
+
+describe("reservation payloads", () => {
+  it("finds every object naming a reservation, without looking inside one", () => {
+    const records = findRecords(LIST);
+    assert.deepEqual(
+      records.map((record) => record.reservationItemId ?? record.reservationId),
+      [328898110, "299688952", "355040528"]
+    );
+  });
+
+  it("reads table columns under any of their aliases", () => {
+    const [first, second, idOnly] = findRecords(LIST).map(toRow);
+    assert.deepEqual(first, {
+      reservationId: "328898110",
+      guestName: "Judith Clare Hingston",
+      confirmationCode: "150806RA002146",
+      checkInDate: "Dec 28, 2024",
+      checkOutDate: "Jan 07, 2025",
+      roomType: "Room, 1 King Bed, Balcony, Ocean View",
+      bookingAmount: "8,251.10",
+      bookedDate: "Sep 26, 2024",
+    });
+    assert.deepEqual(second, {
+      reservationId: "299688952",
+      guestName: "Justin Price",
+      confirmationCode: "10952355",
+      checkInDate: "Dec 28, 2024",
+      checkOutDate: "Jan 05, 2025",
+      roomType: "Room, 2 Queen Beds (Fountain View)",
+      bookingAmount: "11,787.92",
+      bookedDate: "Aug 13, 2024",
+    });
+    assert.equal(idOnly, null);
+  });
+
+  it("reads card, payment and detail sections under any of their aliases", () => {
+    const [record] = findRecords(DETAIL);
+    assert.deepEqual(toDetail(record), {
+      status: "Active",
+      card: {
+        cardNumber: "5412 7534 1200 9876",
+        expiryDate: "03/27",
+        cvv: "418",
+        additionalText: "",
+      },
+      payment: {
+        totalGuestPayment: "8,251.10",
+        cancellationFee: "0.00",
+        expediaCompensation: "1,237.67",
+        totalPayout: "7,013.43",
+      },
+      remainingAmountToCharge: "",
+      amountToRefund: "125.00",
+      details: {
+        guestEmail: "j.hingston@guest.example.com",
+        guestPhone: "+1 415 555 0142",
+        adults: 2,
+        children: 1,
+        ratePlan: "Ocean View - Breakfast included",
+        taxes: "1,061.54",
+        specialRequests: "High floor, away from the elevator",
+        cancellationPolicy: "Non-refundable after Dec 21, 2024",
+        bookingSource: "Expedia",
+        nightlyRates: [
+          { date: "Dec 28, 2024", amount: "825.11" },
+          { date: "Dec 29, 2024", amount: "825.11" },
+        ],
+      },
+      cardActivity: {
+        balance: "4,276.10",
+        transactions: [
+          {
+            date: "Dec 18, 2024",
+            type: "Card load",
+            description: "Virtual card issued",
+            amount: "8251.1",
+            status: "Posted",
+          },
+          {
+            date: "Dec 29, 2024",
+            type: "Charge",
+            description: "SEASIDE PALMS RESORT",
+            amount: "4,100.00",
+            status: "Posted",
+          },
+        ],
+      },
+      hasCard: true,
+    });
+  });
+
+  it("has no detail record for a table row", () => {
+    assert.equal(toDetail(findRecords(LIST)[0]), null);
+  });
+});
+
+describe("response capture", () => {
+  it("collects rows and details from JSON XHR/fetch responses only", async () => {
+    const page = fakePage();
+    const capture = createResponseCapture(page);
+    await page.respond("http://pc.test/api/reservations?term=", LIST);
+    await page.respond("http://pc.test/page.html", DETAIL, { type: "document" });
+    await page.respond("http://pc.test/api/other", DETAIL, { contentType: "text/html" });
+
+    assert.equal(capture.row("299688952").guestName, "Justin Price");
+    assert.equal(capture.row("355040528"), null);
+    assert.equal(capture.detail("328898110"), null);
+    capture.stop();
+  });
+
+  it("learns the details URL from a single-record response and fetches others from it", async () => {
+    const page = fakePage();
+    const capture = createResponseCapture(page);
+    // The ID also appears in the port; the last occurrence is the one replaced
+    await page.respond("http://localhost:3288/api/reservations/3288?lang=en", {
+      reservationId: "3288",
+      card: { number: "4111 1111 1111 3288" },
+    });
+    assert.equal(capture.detail("3288").card.cardNumber, "4111 1111 1111 3288");
+
+    const fetched = capture.fetchDetail("299688952", 1000);
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepEqual(page.fetched, ["http://localhost:3288/api/reservations/299688952?lang=en"]);
+    await page.respond(page.fetched[0], {
+      reservationId: "299688952",
+      card: { number: "4111 1111 1111 8952" },
+    });
+    assert.equal((await fetched).card.cardNumber, "4111 1111 1111 8952");
+    capture.stop();
+  });
+
+  it("doesn't learn the details URL from a response with several records", async () => {
+    const page = fakePage();
+    const capture = createResponseCapture(page);
+    await page.respond("http://pc.test/api/reservations/328898110", {
+      items: [
+        { reservationId: "328898110", card: { number: "4111 1111 1111 0001" } },
+        { reservationId: "299688952", card: { number: "4111 1111 1111 0002" } },
+      ],
+    });
+
+    assert.equal(capture.detail("299688952").card.cardNumber, "4111 1111 1111 0002");
+    assert.equal(await capture.fetchDetail("355040528", 1000), null);
+    assert.deepEqual(page.fetched, []);
+    capture.stop();
+  });
+
+  it("resolves null when the details request fails", async () => {
+    const page = fakePage(false);
+    const capture = createResponseCapture(page);
+    await page.respond("http://pc.test/api/reservations/3288", {
+      reservationId: "3288",
+      card: { number: "4111 1111 1111 3288" },
+    });
+
+    const started = Date.now();
+    assert.equal(await capture.fetchDetail("299688952", 5000), null);
+    assert.ok(Date.now() - started < 1000);
+    capture.stop();
+  });
+
+  it("resolves null after the timeout, or on stop()", async () => {
+    const page = fakePage();
+    const capture = createResponseCapture(page);
+    assert.equal(await capture.waitForDetail("328898110", 20), null);
+
+    const waiting = capture.waitForDetail("299688952", 5000);
+    capture.stop();
+    assert.equal(await waiting, null);
+
+    // Stopped: later responses are ignored
+    await page.respond("http://pc.test/api/reservations/299688952", DETAIL);
+    assert.equal(capture.detail("328898110"), null);
+  });
+});
@@ -0,0 +1,13 @@
+// Profile lookups by name, which comes straight from API paths and bodies
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { deleteProfile, getProfile } from "../profiles.js";
+
+describe("credential profiles", () => {
+  it("doesn't resolve prototype members as profiles", () => {
+    for (const name of ["__proto__", "constructor", "toString", "hasOwnProperty"]) {
+      assert.equal(getProfile(name), null, name);
+      assert.equal(deleteProfile(name), false, name);
+    }
+  });
+});
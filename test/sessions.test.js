@@ -0,0 +1,42 @@
+// Saved Partner Central sessions are encrypted at rest
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { after, describe, it } from "node:test";
+import { fileURLToPath } from "url";
+import { clearSession, listSessions, loadSession, saveSession } from "../sessions.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const ACCOUNT = "sessions-test";
+const FILE = path.join(__dirname, "..", "sessions", `${ACCOUNT}.json`);
+const COOKIES = [{ name: "pc_auth", value: "secret-session-token", domain: "localhost" }];
+
+describe("saved sessions", () => {
+  after(() => {
+    clearSession(ACCOUNT);
+    delete process.env.CREDENTIALS_KEY;
+  });
+
+  it("isn't saved without a key to encrypt it", () => {
+    delete process.env.CREDENTIALS_KEY;
+    assert.equal(saveSession(ACCOUNT, { email: "tester@example.com", cookies: COOKIES }), null);
+    assert.equal(fs.existsSync(FILE), false);
+  });
+
+  it("stores the cookies encrypted and reads them back", () => {
+    process.env.CREDENTIALS_KEY = "sessions-test-key";
+    saveSession(ACCOUNT, { email: "tester@example.com", cookies: COOKIES });
+
+    assert.equal(fs.readFileSync(FILE, "utf8").includes("secret-session-token"), false);
+    assert.deepEqual(loadSession(ACCOUNT, "tester@example.com").cookies, COOKIES);
+    assert.equal(loadSession(ACCOUNT, "someone@example.com"), null);
+    assert.equal(listSessions().find((session) => session.account === ACCOUNT).cookies, 1);
+  });
+
+  it("deletes a session saved in plain text", () => {
+    fs.writeFileSync(FILE, JSON.stringify({ account: ACCOUNT, cookies: COOKIES }));
+    assert.equal(loadSession(ACCOUNT), null);
+    assert.equal(fs.existsSync(FILE), false);
+  });
+});
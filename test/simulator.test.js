@@ -0,0 +1,233 @@
+// Whole runs of loginToExpediaPartner against the Partner Central simulator
+// (simulator.js) with the "fake" verification provider and the "headless"
+// browser profile, checking the exported workbook. Skipped when Puppeteer
+// can't launch a browser; PUPPETEER_EXECUTABLE_PATH picks another Chrome.
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, beforeEach, describe, it } from "node:test";
+import { fileURLToPath } from "url";
+import xlsx from "xlsx";
+import { createArtifactRecorder, deleteArtifactRun } from "../artifacts.js";
+import { closeBrowser, openBrowser } from "../browser-profiles.js";
+import { createCheckpoint, loadCheckpoint } from "../checkpoints.js";
+import { forgetPropertyUrl } from "../property-urls.js";
+import { clearSession } from "../sessions.js";
+import { startSimulator } from "../simulator.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const ACCOUNT = "simulator-test";
+const RANGE = { from: "2025-01-01", to: "2025-01-06", dateType: "checkIn" };
+const RANGE_KEY = `${RANGE.dateType}:${RANGE.from}:${RANGE.to}`;
+
+// Every reservation of property 1001 checks in within RANGE (two pages of
+// results); property 1002 is searched by reservation ID
+const HOTELS = [
+  {
+    id: "1001",
+    account: ACCOUNT,
+    idList: [RANGE_KEY],
+    dateRanges: { [RANGE_KEY]: RANGE },
+    extras: {},
+  },
+  { id: "1002", account: ACCOUNT, idList: ["10020001", "10020002"], extras: {} },
+];
+const EXPECTED_IDS = [
+  ...Array.from({ length: 12 }, (_, index) => `1001${String(index + 1).padStart(4, "0")}`),
+  "10020001",
+  "10020002",
+];
+
+const launchError = await openBrowser("headless").then(
+  (browser) => closeBrowser(browser).then(() => null),
+  (error) => error.message.split("\n")[0]
+);
+
+const server = await startSimulator(0);
+const baseUrl = `http://localhost:${server.address().port}`;
+// Read by index.js when it loads
+process.env.PARTNER_CENTRAL_BASE_URL = baseUrl;
+// Checkpoints and saved sessions are encrypted
+process.env.CREDENTIALS_KEY ||= "simulator-test-key";
+const { loginToExpediaPartner } = await import("../index.js");
+
+const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "simulator-test-"));
+const runIds = [];
+const checkpointIds = [];
+
+const simulator = (route, body) =>
+  fetch(`${baseUrl}${route}`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(body || {}),
+  });
+
+// One signed-in run; returns its result and the exported rows by reservation ID.
+// `options` go to loginToExpediaPartner, e.g. { checkpoint }.
+const run = async (hotels = HOTELS, options = {}) => {
+  const runId = crypto.randomUUID();
+  runIds.push(runId);
+  const result = await loginToExpediaPartner("tester@example.com", "simulator", {
+    hotels,
+    account: ACCOUNT,
+    forceLogin: true,
+    verification: { type: "fake" },
+    launchProfile: "headless",
+    pacing: "fast",
+    artifacts: createArtifactRecorder(runId),
+    output: { directory: outputDir },
+    ...options,
+  });
+  const workbook = xlsx.readFile(result.outputFile);
+  const rows = xlsx.utils.sheet_to_json(workbook.Sheets.Reservations);
+  return {
+    result,
+    ids: rows.map((row) => row["Reservation ID"]).sort(),
+    byId: Object.fromEntries(rows.map((row) => [row["Reservation ID"], row])),
+  };
+};
+
+describe("simulated runs", { skip: launchError ? `No browser: ${launchError}` : false }, () => {
+  beforeEach(async () => {
+    await simulator("/__sim/reset");
+  });
+
+  after(() => {
+    server.close();
+    clearSession(ACCOUNT);
+    HOTELS.forEach((item) => forgetPropertyUrl(item.id));
+    runIds.forEach((runId) => deleteArtifactRun(runId));
+    checkpointIds.forEach((id) =>
+      fs.rmSync(path.join(__dirname, "..", "checkpoints", `${id}.json`), { force: true })
+    );
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  it("exports every reservation with its dialog and card details", { timeout: 300000 }, async () => {
+    const { result, ids, byId } = await run();
+
+    assert.deepEqual(ids, EXPECTED_IDS);
+    assert.equal(result.totalReservations, EXPECTED_IDS.length);
+    assert.equal(result.skippedReservations, 0);
+
+    const first = byId["10010001"];
+    assert.equal(first.Account, ACCOUNT);
+    assert.equal(first["Property ID"], "1001");
+    assert.equal(first["Property Name"], "Simulator Beach Resort");
+    assert.equal(first["Guest Name"], "Guest 1001-1");
+    assert.equal(first["Check-in Date"], "Jan 01, 2025");
+    assert.equal(first["Card Number"], "4111 1111 1111 1001");
+    assert.equal(first["Expiry Date"], "12/27");
+    assert.equal(first.CVV, "101");
+    assert.equal(first["Guest Email"], "guest10010001@guest.example.com");
+    assert.equal(first["Rate Plan"], "Standard rate");
+    assert.equal(first["Balance Check"], "OK");
+
+    // Every third generated reservation has no virtual card
+    assert.equal(byId["10010003"]["Card Number"], "N/A");
+    assert.equal(byId["10010003"]["Has Payment Info"], "Yes");
+    assert.equal(byId["10020002"]["Property Name"], "Simulator City Hotel");
+  });
+
+  it("reads the same rows from the pages' JSON in capture mode", { timeout: 300000 }, async () => {
+    const { result, ids, byId } = await run(HOTELS, { capture: "network" });
+
+    assert.deepEqual(ids, EXPECTED_IDS);
+    assert.equal(result.skippedReservations, 0);
+
+    const first = byId["10010001"];
+    assert.equal(first["Guest Name"], "Guest 1001-1");
+    assert.equal(first["Check-in Date"], "Jan 01, 2025");
+    assert.equal(first["Card Number"], "4111 1111 1111 1001");
+    assert.equal(first["Expiry Date"], "12/27");
+    assert.equal(first.CVV, "101");
+    assert.equal(first["Guest Email"], "guest10010001@guest.example.com");
+    assert.equal(first["Rate Plan"], "Standard rate");
+    assert.equal(byId["10010003"]["Card Number"], "N/A");
+    assert.equal(byId["10020002"]["Property Name"], "Simulator City Hotel");
+  });
+
+  it("waits for dialogs that open slowly", { timeout: 300000 }, async () => {
+    await simulator("/__sim/config", { failures: { slowDialogMs: 2500 } });
+    const { result, ids, byId } = await run();
+
+    assert.deepEqual(ids, EXPECTED_IDS);
+    assert.equal(result.skippedReservations, 0);
+    assert.equal(byId["10020001"]["Card Number"], "4111 1111 1111 1001");
+  });
+
+  it("signs in again on either password form when the session expires", { timeout: 300000 }, async () => {
+    await simulator("/__sim/config", {
+      passwordVariant: "alternate",
+      failures: { sessionTtlMs: 7000 },
+    });
+    const hotels = [{ ...HOTELS[1], idList: ["10020001", "10020002", "10020003", "10020004"] }];
+    const { result, ids, byId } = await run(hotels);
+
+    assert.deepEqual(ids, ["10020001", "10020002", "10020003", "10020004"]);
+    assert.equal(result.skippedReservations, 0);
+    assert.equal(byId["10020004"]["Guest Email"], "guest10020004@guest.example.com");
+  });
+
+  it("skips a reservation whose dialog can't be opened and keeps its table columns", { timeout: 300000 }, async () => {
+    await simulator("/__sim/config", {
+      failures: { missingElements: ['.guestNameLink[data-id="10010005"]'] },
+    });
+    const { result, ids, byId } = await run();
+
+    assert.deepEqual(ids, EXPECTED_IDS);
+    assert.equal(result.skippedReservations, 1);
+    assert.deepEqual(
+      result.skipped.map(({ propertyId, reservationId }) => ({ propertyId, reservationId })),
+      [{ propertyId: "1001", reservationId: "10010005" }]
+    );
+    assert.equal(byId["10010005"]["Card Number"], "N/A");
+    assert.equal(byId["10010005"]["Confirmation Code"], "SIM10010005");
+    assert.equal(byId["10010004"]["Card Number"], "4111 1111 1111 1004");
+  });
+
+  it("clears the date range of an earlier search before searching by ID", { timeout: 300000 }, async () => {
+    const range = { from: "2025-01-01", to: "2025-01-02", dateType: "checkIn" };
+    const key = `${range.dateType}:${range.from}:${range.to}`;
+    // 10010011 checks in on Jan 06, outside the range searched first
+    const hotels = [
+      { ...HOTELS[0], idList: [key, "10010011"], dateRanges: { [key]: range } },
+    ];
+    const { ids, byId } = await run(hotels);
+
+    assert.deepEqual(ids, ["10010001", "10010002", "10010003", "10010004", "10010011"]);
+    assert.equal(byId["10010011"]["Check-in Date"], "Jan 06, 2025");
+  });
+
+  it("resumes a partial run and retries the reservation it gave up on", { timeout: 300000 }, async () => {
+    await simulator("/__sim/config", {
+      failures: { missingElements: ['.guestNameLink[data-id="10010005"]'] },
+    });
+    const checkpoint = createCheckpoint({ hotels: [HOTELS[0]] });
+    checkpointIds.push(checkpoint.id);
+
+    const first = await run(undefined, { checkpoint });
+    assert.equal(first.result.status, "partial");
+    assert.equal(first.byId["10010005"]["Card Number"], "N/A");
+    assert.equal(loadCheckpoint(checkpoint.id).status, "partial");
+    assert.deepEqual(
+      loadCheckpoint(checkpoint.id).summary().failed.map((entry) => entry.reservationId),
+      ["10010005"]
+    );
+
+    await simulator("/__sim/reset");
+    const resumed = await run(undefined, { checkpoint: loadCheckpoint(checkpoint.id) });
+
+    assert.equal(resumed.result.status, "completed");
+    assert.deepEqual(resumed.ids, EXPECTED_IDS.filter((id) => id.startsWith("1001")));
+    assert.equal(resumed.byId["10010005"]["Card Number"], "4111 1111 1111 1005");
+    assert.equal(resumed.byId["10010004"]["Card Number"], "4111 1111 1111 1004");
+    assert.equal(loadCheckpoint(checkpoint.id).status, "completed");
+  });
+});
+
+// The simulator is started before the suite; close it when the suite is skipped
+if (launchError) server.close();
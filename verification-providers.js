@@ -0,0 +1,412 @@
+import crypto from "crypto";
+import { google } from "googleapis";
+import { ImapFlow } from "imapflow";
+import logger from "./logger.js";
+
+// Where the 2FA passcode comes from, chosen per credential profile:
+//   gmail  - passcode email in the profile's Gmail mailbox (default)
+//   imap   - passcode email in any IMAP mailbox
+//   totp   - generated from a shared TOTP secret
+//   manual - typed into the dashboard by an operator while the run waits
+//   fake   - a fixed code, for rehearsing the login path locally
+const PROVIDER_TYPES = ["gmail", "imap", "totp", "manual", "fake"];
+
+// Config fields that are secrets and never sent back through the API
+const SECRET_FIELDS = ["password", "secret"];
+
+const MASK = "********";
+
+const CODE_PATTERN = /\b\d{6,10}\b/;
+
+// Defaults for the email providers: which messages count as passcode emails
+// and how long to keep polling for one
+const EMAIL_DEFAULTS = {
+  from: "expedia",
+  subject: "code",
+  pollIntervalMs: 5000,
+  timeoutMs: 2 * 60 * 1000,
+};
+
+// Mail servers and this machine disagree on the time by a few seconds, so
+// messages up to this much older than the passcode page still count
+const CLOCK_SKEW_MS = 30 * 1000;
+
+// Messages whose code was already typed in, keyed "gmail:<message id>" or
+// "imap:<user>:<mailbox>:<uid>"
+const usedMessages = new Set();
+
+// Utility function for delays
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Sender and subject filters plus polling settings shared by gmail and imap
+const validateEmailFilters = (config) => {
+  const subject = String(config.subject ?? EMAIL_DEFAULTS.subject);
+  try {
+    new RegExp(subject, "i");
+  } catch (error) {
+    throw new Error(`Invalid subject pattern "${subject}": ${error.message}`);
+  }
+
+  return {
+    from: String(config.from ?? EMAIL_DEFAULTS.from).trim().toLowerCase(),
+    subject,
+    pollIntervalMs: parseInt(config.pollIntervalMs, 10) || EMAIL_DEFAULTS.pollIntervalMs,
+    timeoutMs: parseInt(config.timeoutMs, 10) || EMAIL_DEFAULTS.timeoutMs,
+  };
+};
+
+// Whether a message is a passcode email this run may use
+const matchesFilters = (config, { from, subject, receivedAt }, since) =>
+  receivedAt >= since - CLOCK_SKEW_MS &&
+  String(from || "").toLowerCase().includes(config.from) &&
+  new RegExp(config.subject, "i").test(subject || "");
+
+// Check and normalise a provider config from a profile body
+const validateProviderConfig = (config = {}) => {
+  const type = config.type || "gmail";
+  if (!PROVIDER_TYPES.includes(type)) {
+    throw new Error(`Verification type must be one of ${PROVIDER_TYPES.join(", ")}`);
+  }
+
+  if (type === "imap") {
+    for (const field of ["host", "user", "password"]) {
+      if (!config[field]) throw new Error(`IMAP verification needs "${field}"`);
+    }
+    return {
+      type,
+      host: config.host,
+      port: parseInt(config.port, 10) || 993,
+      secure: config.secure !== false,
+      user: config.user,
+      password: config.password,
+      mailbox: config.mailbox || "INBOX",
+      ...validateEmailFilters(config),
+    };
+  }
+
+  if (type === "totp") {
+    if (!config.secret) throw new Error('TOTP verification needs "secret"');
+    return {
+      type,
+      secret: String(config.secret).replace(/\s+/g, "").toUpperCase(),
+      digits: parseInt(config.digits, 10) || 6,
+      period: parseInt(config.period, 10) || 30,
+    };
+  }
+
+  if (type === "manual") {
+    return { type, timeoutMs: parseInt(config.timeoutMs, 10) || 10 * 60 * 1000 };
+  }
+
+  if (type === "fake") {
+    return { type, code: String(config.code || "123456") };
+  }
+
+  return { type, ...validateEmailFilters(config) };
+};
+
+// Provider config without its secrets, for API responses
+const publicProviderConfig = (config = { type: "gmail" }) => {
+  const visible = { ...config };
+  for (const field of SECRET_FIELDS) {
+    if (field in visible) visible[field] = MASK;
+  }
+  return visible;
+};
+
+// Apply an update to a stored provider config. Secrets left out of the update,
+// or sent back masked, keep their stored value while the type is unchanged.
+const mergeProviderConfig = (stored, update) => {
+  if (!update) return stored || { type: "gmail" };
+
+  const incoming = { ...update };
+  for (const field of SECRET_FIELDS) {
+    if (incoming[field] === MASK) delete incoming[field];
+  }
+
+  const sameType = !incoming.type || incoming.type === stored?.type;
+  return { ...(sameType ? stored : {}), ...incoming };
+};
+
+// Newest unused passcode email in Gmail received after `since`.
+// Resolves with { code, key } or null when none has arrived yet.
+async function findGmailCode(auth, config, since) {
+  try {
+    const gmail = google.gmail({ version: "v1", auth });
+    const res = await gmail.users.messages.list({
+      userId: "me",
+      maxResults: 10,
+      q: `after:${Math.floor((since - CLOCK_SKEW_MS) / 1000)}`,
+    });
+
+    if (!res.data.messages) {
+      logger.info("No new emails found.");
+      return null;
+    }
+
+    for (const msg of res.data.messages) {
+      const key = `gmail:${msg.id}`;
+      if (usedMessages.has(key)) continue;
+
+      const email = await gmail.users.messages.get({
+        userId: "me",
+        id: msg.id,
+        format: "metadata",
+        metadataHeaders: ["From", "Subject"],
+      });
+      const header = (name) =>
+        email.data.payload?.headers?.find((item) => item.name === name)?.value;
+      const message = {
+        from: header("From"),
+        subject: header("Subject"),
+        receivedAt: Number(email.data.internalDate),
+      };
+      if (!matchesFilters(config, message, since)) continue;
+
+      const codeMatch = email.data.snippet?.match(CODE_PATTERN);
+      logger.info(`Passcode email "${message.subject}" code match:`, codeMatch);
+      if (codeMatch) return { code: codeMatch[0], key };
+    }
+
+    return null;
+  } catch (error) {
+    logger.error("Error fetching emails:", error.message);
+    return null;
+  }
+}
+
+// First text/plain part of a message, falling back to text/html
+const findTextPart = (node) => {
+  const parts = [];
+  const walk = (part) => {
+    if (part.childNodes) part.childNodes.forEach(walk);
+    else if (part.type === "text/plain" || part.type === "text/html") parts.push(part);
+  };
+  walk(node);
+  return parts.find((part) => part.type === "text/plain") || parts[0] || null;
+};
+
+const streamToString = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+};
+
+// Newest unused passcode email in an IMAP mailbox received after `since`.
+// Resolves with { code, key } or null when none has arrived yet.
+async function findImapCode(config, since) {
+  const client = new ImapFlow({
+    host: config.host,
+    port: config.port,
+    secure: config.secure,
+    auth: { user: config.user, pass: config.password },
+    logger: false,
+  });
+
+  try {
+    await client.connect();
+    const lock = await client.getMailboxLock(config.mailbox);
+    try {
+      const total = client.mailbox.exists;
+      if (!total) {
+        logger.info("No new emails found.");
+        return null;
+      }
+
+      for (let seq = total; seq > Math.max(total - 10, 0); seq--) {
+        const message = await client.fetchOne(String(seq), {
+          uid: true,
+          envelope: true,
+          internalDate: true,
+          bodyStructure: true,
+        });
+        // Mailboxes are in arrival order, so nothing further back is newer
+        if (message.internalDate.getTime() < since - CLOCK_SKEW_MS) break;
+
+        const key = `imap:${config.user}:${config.mailbox}:${message.uid}`;
+        if (usedMessages.has(key)) continue;
+
+        const subject = message.envelope?.subject;
+        const matches = matchesFilters(
+          config,
+          {
+            from: message.envelope?.from?.[0]?.address,
+            subject,
+            receivedAt: message.internalDate.getTime(),
+          },
+          since
+        );
+        if (!matches) continue;
+
+        const subjectMatch = subject?.match(CODE_PATTERN);
+        if (subjectMatch) return { code: subjectMatch[0], key };
+
+        const part = findTextPart(message.bodyStructure);
+        if (!part) continue;
+        const { content } = await client.download(String(seq), part.part || "1");
+        const text = (await streamToString(content)).replace(/<[^>]+>/g, " ");
+        const codeMatch = text.match(CODE_PATTERN);
+        if (codeMatch) return { code: codeMatch[0], key };
+      }
+    } finally {
+      lock.release();
+    }
+
+    return null;
+  } catch (error) {
+    logger.error("Error fetching IMAP emails:", error.message);
+    return null;
+  } finally {
+    await client.logout().catch(() => {});
+  }
+}
+
+// Poll `find()` until it returns a passcode email or the provider's timeout
+// passes; null on timeout
+const pollForCode = async (config, find, job) => {
+  const deadline = Date.now() + config.timeoutMs;
+
+  while (Date.now() < deadline) {
+    job?.throwIfCancelled();
+    const found = await find();
+    if (found) return found;
+    logger.info("Waiting for verification email...");
+    await delay(Math.min(config.pollIntervalMs, Math.max(deadline - Date.now(), 0)));
+  }
+
+  logger.warn(`No verification email arrived within ${config.timeoutMs / 1000}s`);
+  return null;
+};
+
+const decodeBase32 = (input) => {
+  const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+  let bits = "";
+  for (const char of input.replace(/=+$/, "")) {
+    const value = alphabet.indexOf(char);
+    if (value === -1) throw new Error("TOTP secret is not valid base32");
+    bits += value.toString(2).padStart(5, "0");
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// RFC 6238 code for the current time step
+const generateTotp = ({ secret, digits, period }, now = Date.now()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(now / 1000 / period)));
+
+  const hmac = crypto
+    .createHmac("sha1", decodeBase32(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, "0");
+};
+
+// Codes typed into the dashboard, keyed by job ID ("direct" outside jobs)
+const pendingManualCodes = new Map();
+
+// Hand a code typed by the operator to the run waiting for it
+const submitManualCode = (jobId, code) => {
+  const pending = pendingManualCodes.get(jobId || "direct");
+  if (!pending) return false;
+  pending(String(code).trim());
+  return true;
+};
+
+// Resolves with the operator's code; rejects on timeout or when the job is
+// cancelled, so a cancelled run doesn't hold up the queue
+const waitForManualCode = (config, job) =>
+  new Promise((resolve, reject) => {
+    const key = job?.id || "direct";
+    const signal = job?.controller?.signal;
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const settle = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      pendingManualCodes.delete(key);
+    };
+    const onAbort = () => {
+      settle();
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      settle();
+      reject(new Error("Timed out waiting for the verification code to be entered"));
+    }, config.timeoutMs);
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+    pendingManualCodes.set(key, (code) => {
+      settle();
+      resolve(code);
+    });
+  });
+
+// Build the provider for a run. `context.gmailAuth` is the OAuth2 client for
+// gmail providers; `context.job` receives the "2fa-waiting" event.
+//
+// getCode({ since }) resolves with a code, or null when none turned up in
+// time. Email providers only consider messages received after `since` (the
+// time the passcode page appeared) and never hand out a message twice once
+// markUsed() has been called for its code. `canResend` tells the login flow
+// that asking Partner Central for a new email is worth trying.
+const createCodeProvider = (stored = { type: "gmail" }, { gmailAuth, job } = {}) => {
+  // Fills in defaults for configs saved before a setting existed
+  const config = validateProviderConfig(stored);
+  const { type } = config;
+  let lastFound = null;
+
+  if (type === "gmail" && !gmailAuth) {
+    throw new Error("Gmail verification needs an authorized mailbox");
+  }
+
+  const lookup = async (since) => {
+    switch (type) {
+      case "gmail":
+        return pollForCode(config, () => findGmailCode(gmailAuth, config, since), job);
+      case "imap":
+        return pollForCode(config, () => findImapCode(config, since), job);
+      case "totp":
+        return { code: generateTotp(config) };
+      case "manual":
+        logger.info("Waiting for the verification code to be entered in the dashboard...");
+        return { code: await waitForManualCode(config, job) };
+      case "fake":
+        return { code: config.code };
+      default:
+        throw new Error(`Unknown verification provider "${type}"`);
+    }
+  };
+
+  return {
+    type,
+    canResend: type === "gmail" || type === "imap",
+    async getCode({ since = Date.now() } = {}) {
+      job?.emit("2fa-waiting", { provider: type });
+      lastFound = await lookup(since);
+      return lastFound?.code || null;
+    },
+    // The code was typed in; its email must not be used again
+    markUsed(code) {
+      if (lastFound?.key && lastFound.code === code) usedMessages.add(lastFound.key);
+    },
+  };
+};
+
+export {
+  SECRET_FIELDS,
+  createCodeProvider,
+  mergeProviderConfig,
+  publicProviderConfig,
+  submitManualCode,
+  validateProviderConfig,
+};